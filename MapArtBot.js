@@ -1,15 +1,21 @@
 const MinimalBot = require("./MinimalBot.js");
 const mapArtOffsets = require("./config/mapart_offsets.js");
+const Palette = require("./src/utils/Palette");
 
 const Restocker = require("./src/modules/Restocker");
 const StripPlacer = require("./src/modules/StripPlacer");
+const StripVerifier = require("./src/modules/StripVerifier");
+const MaterialPlanner = require("./src/modules/MaterialPlanner");
+
+// How often a bot renews the lease on its strip (see DatabaseManager.renewLease).
+const HEARTBEAT_INTERVAL = 30 * 1000;
 
 class MapArtBot extends MinimalBot {
   /**
    * @param {object} options - Bot configuration options.
-   * @param {import('./src/utils/DatabaseManager')} db - The database manager instance.
-   * @param {number} botIndex - The unique index of this bot worker.
-   * @param {number} totalBots - The total number of bots in the pool.
+   * @param {import('./src/utils/DatabaseManager')} db - The database manager instance, set to the bot's project.
+   * @param {number} botIndex - The unique index of this bot worker among the bots on its project.
+   * @param {number} totalBots - The total number of bots on the project.
    */
   constructor(options, db, botIndex, totalBots) {
     super(options);
@@ -18,38 +24,96 @@ class MapArtBot extends MinimalBot {
     this.botIndex = botIndex;
     this.totalBots = totalBots;
 
-    this.state = "IDLE"; // IDLE, CLAIMING, BUILDING, RESTOCKING
+    this.state = "IDLE"; // IDLE, CLAIMING, BUILDING, RESTOCKING, VERIFYING
     this.currentStripIndex = null;
+    this.leaseLost = false;
     this.shouldRun = true;
+    this.heartbeat = null;
 
     this.mcData = null;
+    this.palette = null;
     this.restocker = null;
     this.stripPlacer = null;
+    this.stripVerifier = null;
+    this.materialPlanner = null;
   }
 
   async initialize() {
     await super.initialize();
     this.mcData = require("minecraft-data")(this.bot.version);
+    this.palette = Palette.load(this.bot.version);
+
+    // Every project has its own site; chests and boundaries are relative to its start corner
+    const project = await this.db.getProjectState();
+    if (!project) {
+      console.error(`[${this.bot.username}] The bot's project no longer exists. Disconnecting.`);
+      this.shouldRun = false;
+      this.disconnect();
+      return;
+    }
+    const siteOffsets = {
+      ...mapArtOffsets,
+      start: [project.origin_x, project.origin_y, project.origin_z],
+      supportBlock: project.support_block || mapArtOffsets.supportBlock
+    };
 
     // Pass db instance to modules that need it
-    this.restocker = new Restocker(this.bot, this.mcData, mapArtOffsets);
-    this.stripPlacer = new StripPlacer(this.bot, this.mcData, mapArtOffsets, this.db);
+    this.restocker = new Restocker(this.bot, this.mcData, siteOffsets, this.palette);
+    this.stripPlacer = new StripPlacer(this.bot, this.mcData, siteOffsets, this.db, this.palette);
+    this.stripVerifier = new StripVerifier(this.bot, this.mcData, siteOffsets, this.db);
+    this.materialPlanner = new MaterialPlanner(this.mcData);
+
+    // Runs on its own timer so long walks and restocks don't let the lease expire
+    clearInterval(this.heartbeat);
+    this.heartbeat = setInterval(() => this.renewLease(), HEARTBEAT_INTERVAL);
 
     console.log(`[${this.bot.username}] Connected and ready for tasks.`);
 
     this.mainLoop(); // Start the main logic loop
   }
   
-  shutdown() {
+  /**
+   * Stops building, gives the current strip back and writes the queued placements before disconnecting.
+   */
+  async shutdown() {
       this.shouldRun = false;
-      this.stripPlacer.stop();
-      if (this.currentStripIndex !== null) {
-          console.log(`[${this.bot.username}] Releasing strip ${this.currentStripIndex} due to shutdown.`);
-          this.db.releaseStrip(this.currentStripIndex);
+      clearInterval(this.heartbeat);
+      try {
+          this.stripPlacer?.stop(); // Not there yet if the signal comes before `initialize`
+          if (this.currentStripIndex !== null) {
+              console.log(`[${this.bot.username}] Releasing strip ${this.currentStripIndex} due to shutdown.`);
+              await this.db.releaseStrip(this.currentStripIndex, this.bot.username);
+          }
+          await this.db.flush();
+      } catch (err) {
+          console.error(`[${this.bot.username}] Failed to save progress on shutdown:`, err.message);
       }
       this.disconnect();
   }
 
+  handleDisconnect(eventName) {
+    if (!this._isDisconnecting && !this._isReconnecting) {
+      this.db.logEvent(eventName === "kicked" ? "kicked" : "disconnected", {
+        bot: this._options.username, strip: this.currentStripIndex, details: eventName
+      });
+    }
+    super.handleDisconnect(eventName);
+  }
+
+  async renewLease() {
+    if (this.currentStripIndex === null) return;
+    const username = this._options.username;
+    try {
+      const renewed = await this.db.renewLease(this.currentStripIndex, username);
+      if (!renewed && !this.leaseLost) {
+        console.warn(`[${username}] Lost the lease on strip ${this.currentStripIndex}; another bot may have taken it over.`);
+        this.leaseLost = true;
+      }
+    } catch (err) {
+      console.error(`[${username}] Failed to renew the lease on strip ${this.currentStripIndex}:`, err.message);
+    }
+  }
+
   // --- Main Logic Loop ---
   async mainLoop() {
     while (this.shouldRun) {
@@ -57,7 +121,7 @@ class MapArtBot extends MinimalBot {
 
       const projectState = await this.db.getProjectState();
 
-      if (!projectState || !projectState.is_active || projectState.is_paused) {
+      if (!projectState || !projectState.is_active || projectState.is_paused || projectState.is_archived) {
         if (this.state !== "IDLE") {
           console.log(`[${this.bot.username}] Project is paused or inactive. Idling.`);
           this.state = "IDLE";
@@ -65,6 +129,8 @@ class MapArtBot extends MinimalBot {
         }
         continue;
       }
+
+      this.stripPlacer.setGrid(projectState.grid_cols, projectState.grid_rows);
       
       // If we were paused and are now continuing
       if (this.state === "IDLE" && this.currentStripIndex !== null) {
@@ -72,10 +138,23 @@ class MapArtBot extends MinimalBot {
           this.stripPlacer.continue();
       }
 
+      // The strip was reclaimed while this bot wasn't heartbeating (e.g. a long freeze); leave it to its new owner
+      if (this.leaseLost && this.currentStripIndex !== null) {
+        console.log(`[${this.bot.username}] Dropping strip ${this.currentStripIndex}.`);
+        this.currentStripIndex = null;
+        this.state = "CLAIMING";
+      }
+      this.leaseLost = false;
+
       // --- Claiming State ---
       if (this.currentStripIndex === null) {
         this.state = "CLAIMING";
-        const claimedStrip = await this.db.claimStrip(this.bot.username, this.botIndex, this.totalBots);
+        const claimedStrip = await this.db.claimStrip(this.bot.username, this.botIndex, this.totalBots, {
+          policy: mapArtOffsets.scheduling,
+          steal: mapArtOffsets.workStealing,
+          position: this.bot.entity.position,
+          chests: this.restocker.getChestPositions(),
+        });
 
         if (claimedStrip !== null) {
           this.currentStripIndex = claimedStrip;
@@ -85,7 +164,9 @@ class MapArtBot extends MinimalBot {
         } else {
           // No strips available. The map might be done or others are working.
           const stats = await this.db.getCompletionStats();
-          if (stats.pending_strips === 0 && stats.assigned_strips === 0) {
+          if (mapArtOffsets.patrolInterval > 0) {
+              await this.patrol();
+          } else if (stats.pending_strips === 0 && stats.assigned_strips === 0) {
               console.log(`[${this.bot.username}] All strips are complete. Shutting down.`);
               this.shutdown();
           } else {
@@ -97,24 +178,29 @@ class MapArtBot extends MinimalBot {
       
       // --- Building State ---
       if (this.state === "BUILDING") {
-        const required = await this.getRequiredMaterialsForStrip(this.currentStripIndex);
-        if (Object.keys(required).length === 0) {
+        const legs = await this.planLegs(this.currentStripIndex);
+        if (legs.length === 0) {
           // Strip is done, complete it and go back to claiming
           console.log(`[${this.bot.username}] Finished building strip ${this.currentStripIndex}.`);
-          await this.db.completeStrip(this.currentStripIndex);
+          await this.db.completeStrip(this.currentStripIndex, this.bot.username);
           this.currentStripIndex = null;
           this.state = "CLAIMING";
           continue;
         }
 
-        if (!this._hasMaterials(required)) {
-          console.log(`[${this.bot.username}] Insufficient materials for strip ${this.currentStripIndex}. Switching to restock mode.`);
+        // Build one inventory load at a time: restock for the next leg, build it, repeat
+        const [leg] = legs;
+        if (!this._hasMaterials(leg.required)) {
+          console.log(`[${this.bot.username}] Insufficient materials for the next leg of strip ${this.currentStripIndex} ` +
+            `(${legs.length} left). Switching to restock mode.`);
           this.state = "RESTOCKING";
         } else {
-          const isComplete = await this.stripPlacer.buildCurrentStrip(this.currentStripIndex);
+          console.log(`[${this.bot.username}] Building ${leg.placements.length} blocks of strip ${this.currentStripIndex} ` +
+            `(leg of ${leg.slots} slots, ${legs.length - 1} more after this).`);
+          const isComplete = await this.stripPlacer.buildCurrentStrip(this.currentStripIndex, leg.placements);
           if (isComplete) {
             console.log(`[${this.bot.username}] Finished building strip ${this.currentStripIndex}.`);
-            await this.db.completeStrip(this.currentStripIndex);
+            await this.db.completeStrip(this.currentStripIndex, this.bot.username);
             this.currentStripIndex = null;
             this.state = "CLAIMING";
           }
@@ -124,14 +210,22 @@ class MapArtBot extends MinimalBot {
 
       // --- Restocking State ---
       if (this.state === "RESTOCKING") {
-        const required = await this.getRequiredMaterialsForStrip(this.currentStripIndex);
+        const [leg] = await this.planLegs(this.currentStripIndex);
+        const required = leg ? leg.required : {};
+        const total = Object.values(required).reduce((sum, count) => sum + count, 0);
+        this.db.logEvent("restock_started", {
+          bot: this.bot.username, strip: this.currentStripIndex, count: total, details: JSON.stringify(required)
+        });
         const success = await this.restocker.restock(required);
+        this.db.logEvent("restock_finished", {
+          bot: this.bot.username, strip: this.currentStripIndex, count: total, details: success ? "ok" : "failed"
+        });
         if (success) {
           console.log(`[${this.bot.username}] Restocking complete. Resuming building.`);
           this.state = "BUILDING";
         } else {
           console.log(`[${this.bot.username}] Failed to restock all materials. Releasing strip ${this.currentStripIndex} and pausing for 5 minutes.`);
-          await this.db.releaseStrip(this.currentStripIndex);
+          await this.db.releaseStrip(this.currentStripIndex, this.bot.username);
           this.currentStripIndex = null;
           this.state = "IDLE";
           await this.bot.waitForTicks(20 * 60 * 5); // Wait 5 minutes
@@ -140,14 +234,32 @@ class MapArtBot extends MinimalBot {
     }
   }
 
-  async getRequiredMaterialsForStrip(stripIndex) {
-      const requiredMaterials = {};
-      const placements = await this.db.getPlacementsForStrip(stripIndex);
+  /**
+   * Verifies the completed strip that has gone unchecked the longest, if it is due
+   * (`patrolInterval` in config/mapart_offsets.js). Wrong blocks are queued as a repair unit,
+   * which is claimed before any remaining strip.
+   */
+  async patrol() {
+    const stripIndex = await this.db.claimStripForPatrol(mapArtOffsets.patrolInterval * 60);
+    if (stripIndex === null) return;
+
+    this.state = "VERIFYING";
+    try {
+      const { mismatches } = await this.stripVerifier.verifyStrip(stripIndex);
+      if (mismatches.length === 0) console.log(`[${this.bot.username}] Strip ${stripIndex} matches the plan.`);
+    } catch (err) {
+      console.error(`[${this.bot.username}] Failed to verify strip ${stripIndex}:`, err.message);
+    }
+    this.state = "CLAIMING";
+  }
 
-      for (const placement of placements) {
-          requiredMaterials[placement.item_id] = (requiredMaterials[placement.item_id] || 0) + 1;
-      }
-      return requiredMaterials;
+  /**
+   * The remaining placements of a strip in build order, split into legs that fit into the inventory.
+   */
+  async planLegs(stripIndex) {
+    const placements = await this.db.getPlacementsForStrip(stripIndex);
+    const batches = this.stripPlacer.groupIntoBatches(placements);
+    return this.materialPlanner.planLegs(batches, this.restocker.freeSlotsAfterDiscard());
   }
 
   _hasMaterials(required) {
@@ -0,0 +1,51 @@
+const MinimalBot = require("./MinimalBot.js");
+const mapArtOffsets = require("./config/mapart_offsets.js");
+const Palette = require("./src/utils/Palette");
+
+const Restocker = require("./src/modules/Restocker");
+
+/**
+ * A short-lived bot that walks past the storage chests, counts what they hold and disconnects.
+ * Used by `run.js materials --chests`.
+ */
+class StockCheckBot extends MinimalBot {
+  /**
+   * @param {object} options - Bot configuration options.
+   * @param {string[]} itemIds - The items to count.
+   * @param {object} [offsets] - The map art configuration, with `start` set to the project's site.
+   */
+  constructor(options, itemIds, offsets = mapArtOffsets) {
+    super({ ...options, autoReconnect: false });
+
+    this.itemIds = itemIds;
+    this.offsets = offsets;
+    /** @type {Promise<object>} Resolves with item ID -> count (null for items without a chest). */
+    this.stock = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+  }
+
+  async initialize() {
+    await super.initialize();
+    try {
+      const mcData = require("minecraft-data")(this.bot.version);
+      const palette = Palette.load(this.bot.version);
+      const restocker = new Restocker(this.bot, mcData, this.offsets, palette);
+
+      console.log(`[${this.bot.username}] Counting chest contents for ${this.itemIds.length} item(s)...`);
+      this._resolve(await restocker.countStock(this.itemIds));
+    } catch (err) {
+      this._reject(err);
+    } finally {
+      this.disconnect();
+    }
+  }
+
+  handleDisconnect(eventName) {
+    super.handleDisconnect(eventName);
+    this._reject(new Error(`Bot disconnected (${eventName}) before the chests were counted.`));
+  }
+}
+
+module.exports = StockCheckBot;
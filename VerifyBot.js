@@ -0,0 +1,53 @@
+const MinimalBot = require("./MinimalBot.js");
+
+const StripVerifier = require("./src/modules/StripVerifier");
+
+/**
+ * A short-lived bot that checks completed strips against the plan, queues the blocks that need
+ * repairs and disconnects. Used by `run.js verify`.
+ */
+class VerifyBot extends MinimalBot {
+  /**
+   * @param {object} options - Bot configuration options.
+   * @param {import('./src/utils/DatabaseManager')} db - The database manager instance, set to the project.
+   * @param {number[]} stripIndices - The strips to verify.
+   * @param {object} offsets - The map art configuration, with `start` set to the project's site.
+   */
+  constructor(options, db, stripIndices, offsets) {
+    super({ ...options, autoReconnect: false });
+
+    this.db = db;
+    this.stripIndices = stripIndices;
+    this.offsets = offsets;
+    /** @type {Promise<object>} Resolves with strip index -> result of `StripVerifier.verifyStrip`. */
+    this.report = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+  }
+
+  async initialize() {
+    await super.initialize();
+    try {
+      const mcData = require("minecraft-data")(this.bot.version);
+      const verifier = new StripVerifier(this.bot, mcData, this.offsets, this.db);
+
+      const report = {};
+      for (const stripIndex of this.stripIndices) {
+        report[stripIndex] = await verifier.verifyStrip(stripIndex);
+      }
+      this._resolve(report);
+    } catch (err) {
+      this._reject(err);
+    } finally {
+      this.disconnect();
+    }
+  }
+
+  handleDisconnect(eventName) {
+    super.handleDisconnect(eventName);
+    this._reject(new Error(`Bot disconnected (${eventName}) before the strips were verified.`));
+  }
+}
+
+module.exports = VerifyBot;
@@ -1,7 +1,8 @@
 const mapArtOffsets = {
-  start: [63, 200, 63], // change this start coordinates of map 
+  start: [63, 200, 63], // change this start coordinates of map (with --maps, the corner of the whole wall; further maps extend towards -x/-z)
   offsets: {
     end: [-127, 0, -127],
+    // Storage chests, keyed by map color name (see config/palette.json) or by exact item ID.
     white: [
         [-2, 1, 3],
     ],
@@ -50,8 +51,16 @@ const mapArtOffsets = {
     pink: [
         [-62, 1, 3],
     ],
+    support: [
+        [-66, 1, 3],
+    ],
   },
-  width:4 // width of a 128xwidth line to complete in series
+  supportBlock: 'cobblestone', // block used for raised columns and the noobline in staircase mode
+  keepItems: ['pickaxe', 'shovel', 'axe', 'shears'], // tools bots keep when they empty their inventory to restock (item IDs, or e.g. 'pickaxe' for all pickaxes); food and the support block are kept too
+  width:4, // width of a 128xwidth line to complete in series
+  scheduling: 'zones', // which strip a bot claims next: 'zones' (fixed range per bot), 'nearest' (to the bot) or 'nearestChests' (to the storage)
+  workStealing: false, // with no strip left, idle bots split the biggest remaining strip of another bot and take half
+  patrolInterval: 0 // minutes between in-world checks of each completed strip by idle bots; 0 disables patrols and bots log off when the map is done
 };
 
 module.exports = mapArtOffsets;
@@ -1,4 +1,4 @@
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const { fork } = require('child_process');
 const path = require('path');
 const fs = require('fs');
@@ -7,10 +7,20 @@ const botConfigs = require('./config/bots.json');
 const mapArtOffsets = require('./config/mapart_offsets.js');
 const ImageProcessor = require('./src/utils/ImageProcessor.js');
 const DatabaseManager = require('./src/utils/DatabaseManager.js');
+const Palette = require('./src/utils/Palette.js');
+const ColorMetrics = require('./src/utils/ColorMetrics.js');
+const DitheringRegistry = require('./src/utils/DitheringRegistry.js');
+const SchematicImporter = require('./src/utils/SchematicImporter.js');
+const SchematicExporter = require('./src/utils/SchematicExporter.js');
+const MapItemImporter = require('./src/utils/MapItemImporter.js');
+const MapRenderer = require('./src/utils/MapRenderer.js');
+const StripScheduler = require('./src/utils/StripScheduler.js');
 
 const program = new Command();
 const DB_PATH = path.join(process.cwd(), 'mapart.sqlite');
 const WORKER_PATH = path.join(__dirname, 'worker.js');
+// Blocks are resolved against the version the bots connect with.
+const MC_VERSION = botConfigs[0]?.version || null;
 
 let childProcesses = [];
 
@@ -27,79 +37,719 @@ process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
 // --- Bot Spawner ---
-async function launchBots() {
+// Bots with a "project" (ID or name) in config/bots.json work on that project, all others on the selected one.
+async function launchBots(db) {
     if (!fs.existsSync(WORKER_PATH)) {
         console.error(`Error: Worker script not found at ${WORKER_PATH}`);
         return;
     }
 
-    const totalBots = botConfigs.length;
-    if (totalBots === 0) {
+    if (botConfigs.length === 0) {
         console.error("No bots defined in config/bots.json. Aborting.");
         return;
     }
 
-    console.log(`Launching ${totalBots} bot(s)...`);
-    botConfigs.forEach((botConfig, index) => {
-        const child = fork(WORKER_PATH, [
-            JSON.stringify(botConfig), 
-            DB_PATH, 
-            index.toString(),          // Pass bot's index
-            totalBots.toString()       // Pass total number of bots
-        ], {
-            stdio: 'inherit'
+    const policy = mapArtOffsets.scheduling || StripScheduler.DEFAULT;
+    if (!StripScheduler.NAMES.includes(policy)) {
+        console.error(`Unknown scheduling policy "${policy}" in config/mapart_offsets.js. Valid policies are: ${StripScheduler.NAMES.join(', ')}`);
+        return;
+    }
+
+    const selected = await db.getSelectedProject();
+    const teams = new Map(); // project ID -> bot configs
+    for (const botConfig of botConfigs) {
+        const project = botConfig.project !== undefined ? await db.findProject(botConfig.project) : selected;
+        if (!project || project.is_archived) {
+            const label = botConfig.project !== undefined ? `"${botConfig.project}"` : 'the selected project';
+            console.warn(`Not launching ${botConfig.username}: ${project ? `${label} is archived` : `${label} does not exist`}.`);
+            continue;
+        }
+        if (!teams.has(project.id)) teams.set(project.id, []);
+        teams.get(project.id).push(botConfig);
+    }
+
+    for (const [projectId, team] of teams) {
+        console.log(`Launching ${team.length} bot(s) on project ${projectId}...`);
+        team.forEach((botConfig, index) => {
+            const child = fork(WORKER_PATH, [
+                JSON.stringify(botConfig), 
+                DB_PATH, 
+                index.toString(),          // Pass bot's index within its project
+                team.length.toString(),    // Pass number of bots on the project
+                projectId.toString()
+            ], {
+                stdio: 'inherit'
+            });
+            childProcesses.push(child);
         });
-        childProcesses.push(child);
-    });
+    }
+}
+
+// --- Project Helpers ---
+/**
+ * Opens the database on the project given with --project, or on the selected project.
+ * @returns {Promise<{db: DatabaseManager, project: object|undefined}>}
+ */
+async function openProject() {
+    const db = new DatabaseManager(DB_PATH);
+    await db.init();
+    const requested = program.opts().project;
+    const project = await db.useProject(requested);
+    if (!project && requested !== undefined) {
+        console.error(`There is no project "${requested}". See "project list".`);
+    }
+    return { db, project };
+}
+
+// `mapart_offsets.js` with the start corner moved to a project's site.
+function siteOffsets(project) {
+    return { ...mapArtOffsets, start: [project.origin_x, project.origin_y, project.origin_z] };
+}
+
+function parseOrigin(value) {
+    const origin = value.split(',').map(Number);
+    if (origin.length !== 3 || !origin.every(Number.isInteger)) {
+        throw new InvalidArgumentError('Expected x,y,z in whole blocks, e.g. 63,200,63.');
+    }
+    return origin;
+}
+
+// --- Palette Helpers ---
+function setBlocksEnabled(blockIds, enabled) {
+    const palette = Palette.load(MC_VERSION);
+    for (const blockId of blockIds) {
+        try {
+            palette.setEnabled(blockId, enabled);
+            if (!palette.getBlock(blockId)) {
+                console.warn(`Note: "${blockId}" does not exist in Minecraft ${MC_VERSION} and will be ignored.`);
+            }
+            console.log(`${enabled ? 'Enabled' : 'Disabled'} ${blockId}.`);
+        } catch (err) {
+            console.error(err.message);
+        }
+    }
+    palette.save();
+}
+
+// --- Image Option Helpers ---
+// `start` and `preview` share the options that control how an image becomes a plan.
+function addImageOptions(command) {
+    return command
+        .option('-d, --dither <algorithm>', 'Dithering algorithm to use (see "algorithms")', 'floydSteinberg')
+        .option('--kernels <file>', 'Register extra dithering kernels from a .json or .js file')
+        .option('--serpentine', 'Error diffusion: scan every other row right-to-left', false)
+        .option('--diffusion-strength <factor>', 'Error diffusion: fraction of the error passed on, 0 to 1', parseFloat, 1)
+        .option('-m, --mode <mode>', 'Map mode: "flat" (one shade per enabled palette color) or "staircase" (3 shades per color)', 'flat')
+        .option('--maps <cols>x<rows>', 'Size of the wall of maps to build, e.g. 2x3 for a 256x384 image', '1x1')
+        .option('--metric <metric>', `Color distance metric (${ColorMetrics.NAMES.join(', ')})`, 'rgb')
+        .option('--fit <fit>', `How to fit the image to the maps (${ImageProcessor.FIT_MODES.join(', ')})`, 'stretch')
+        .option('--crop <x,y,w,h>', 'Only use this rectangle of the source image, in pixels')
+        .option('--gravity <gravity>', `Part of the image kept by "cover" / placement for "contain" (${ImageProcessor.GRAVITIES.join(', ')})`, 'center')
+        .option('--background <color>', 'Letterbox color for "contain", e.g. "#ffffff" (transparent if omitted)')
+        .option('--transparent <color>', 'Palette color for transparent pixels, or "empty" to leave them without a block', 'empty')
+        .option('--brightness <amount>', 'Brightness adjustment, -1 to 1', parseFloat, 0)
+        .option('--contrast <amount>', 'Contrast adjustment, -1 to 1', parseFloat, 0)
+        .option('--saturation <factor>', 'Saturation multiplier, 0 (grayscale) and up', parseFloat, 1)
+        .option('--gamma <gamma>', 'Gamma correction; above 1 brightens the midtones', parseFloat, 1)
+        .option('--sharpen <amount>', 'Sharpening strength, 0 to disable', parseFloat, 0)
+        .option('--equalize', 'Equalize the luminance histogram', false)
+        .option('--budget <color=count...>', 'Use at most this many blocks of a color, e.g. --budget white=2000 lime=500')
+        .option('--unavailable <colors...>', 'Colors not to use at all, e.g. --unavailable blue purple');
+}
+
+/**
+ * Validates the options added by `addImageOptions` and turns them into `processImage` options.
+ * @returns {object|null} The options, or null (after printing why) if any of them is invalid.
+ */
+function parseImageOptions(options) {
+    if (options.kernels) {
+        try {
+            const names = DitheringRegistry.loadFile(options.kernels);
+            console.log(`Registered dithering kernels: ${names.join(', ')}`);
+        } catch (err) {
+            console.error(`Could not load kernels from ${options.kernels}: ${err.message}`);
+            return null;
+        }
+    }
+    if (!DitheringRegistry.has(options.dither)) {
+        console.error(`Invalid dithering algorithm: "${options.dither}".`);
+        console.error(`Valid options are: ${DitheringRegistry.names().join(', ')}`);
+        return null;
+    }
+
+    if (!ImageProcessor.MAP_MODES.includes(options.mode)) {
+        console.error(`Invalid map mode: "${options.mode}".`);
+        console.error(`Valid options are: ${ImageProcessor.MAP_MODES.join(', ')}`);
+        return null;
+    }
+    if (!ColorMetrics.NAMES.includes(options.metric)) {
+        console.error(`Invalid color metric: "${options.metric}".`);
+        console.error(`Valid options are: ${ColorMetrics.NAMES.join(', ')}`);
+        return null;
+    }
+    if (Number.isNaN(options.diffusionStrength) || options.diffusionStrength < 0 || options.diffusionStrength > 1) {
+        console.error('Invalid diffusion strength. It must be a number between 0 and 1.');
+        return null;
+    }
+
+    const gridMatch = /^(\d+)x(\d+)$/.exec(options.maps);
+    if (!gridMatch || gridMatch[1] === '0' || gridMatch[2] === '0') {
+        console.error(`Invalid map grid: "${options.maps}". Use <cols>x<rows>, e.g. 2x3.`);
+        return null;
+    }
+    const grid = { cols: parseInt(gridMatch[1], 10), rows: parseInt(gridMatch[2], 10) };
+
+    const adjustments = {
+        brightness: options.brightness,
+        contrast: options.contrast,
+        saturation: options.saturation,
+        gamma: options.gamma,
+        sharpen: options.sharpen,
+        equalize: options.equalize
+    };
+    if ([adjustments.brightness, adjustments.contrast].some(v => Number.isNaN(v) || v < -1 || v > 1)) {
+        console.error('Invalid brightness or contrast. They must be numbers between -1 and 1.');
+        return null;
+    }
+    if (!(adjustments.gamma > 0) || !(adjustments.saturation >= 0) || !(adjustments.sharpen >= 0)) {
+        console.error('Invalid saturation, gamma or sharpen. Gamma must be above 0, the others 0 or more.');
+        return null;
+    }
+
+    if (!ImageProcessor.FIT_MODES.includes(options.fit)) {
+        console.error(`Invalid fit: "${options.fit}".`);
+        console.error(`Valid options are: ${ImageProcessor.FIT_MODES.join(', ')}`);
+        return null;
+    }
+    if (!ImageProcessor.GRAVITIES.includes(options.gravity)) {
+        console.error(`Invalid gravity: "${options.gravity}".`);
+        console.error(`Valid options are: ${ImageProcessor.GRAVITIES.join(', ')}`);
+        return null;
+    }
+    let crop = null;
+    if (options.crop) {
+        const cropMatch = /^(\d+),(\d+),(\d+),(\d+)$/.exec(options.crop);
+        if (!cropMatch) {
+            console.error(`Invalid crop: "${options.crop}". Use <x>,<y>,<w>,<h>, e.g. 0,40,800,600.`);
+            return null;
+        }
+        const [x, y, w, h] = cropMatch.slice(1).map(Number);
+        crop = { x, y, w, h };
+    }
+
+    const budgets = {};
+    for (const entry of options.budget || []) {
+        const budgetMatch = /^([a-z_]+)=(\d+)$/.exec(entry);
+        if (!budgetMatch) {
+            console.error(`Invalid budget: "${entry}". Use <color>=<count>, e.g. white=2000.`);
+            return null;
+        }
+        budgets[budgetMatch[1]] = parseInt(budgetMatch[2], 10);
+    }
+
+    return {
+        mode: options.mode,
+        metric: options.metric,
+        grid,
+        serpentine: options.serpentine,
+        diffusionStrength: options.diffusionStrength,
+        fit: options.fit,
+        crop,
+        gravity: options.gravity,
+        background: options.background || null,
+        transparent: options.transparent,
+        adjustments,
+        budgets,
+        unavailable: options.unavailable || []
+    };
+}
+
+// --- Materials Helpers ---
+const SHULKER_SLOTS = 27;
+
+// Same totals as `DatabaseManager.getMaterials`, for a plan that isn't in the database.
+function planMaterials(imageData, supportBlock, staircase) {
+    const totals = new Map();
+    const add = (itemId, count) => totals.set(itemId, (totals.get(itemId) || 0) + count);
+    for (const row of imageData) {
+        for (const block of row) {
+            if (block.empty) continue;
+            add(block.id, 1);
+            if (block.y > 0) add(supportBlock, block.y);
+        }
+    }
+    if (staircase) {
+        add(supportBlock, ImageProcessor.nooblineHeights(imageData).reduce((sum, y) => sum + y + 1, 0));
+    }
+    return [...totals]
+        .map(([item_id, total]) => ({ item_id, total, placed: 0 }))
+        .sort((a, b) => b.total - a.total);
+}
+
+function formatMaterials(rows, format) {
+    const columns = Object.keys(rows[0] || { item_id: null });
+    if (format === 'json') {
+        return JSON.stringify(rows, null, 2);
+    }
+    if (format === 'csv') {
+        return [columns.join(','), ...rows.map(row => columns.map(column => row[column] ?? '').join(','))].join('\n');
+    }
+    const cells = [columns, ...rows.map(row => columns.map(column => String(row[column] ?? '-')))];
+    const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+    return cells
+        .map(line => line.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  '))
+        .join('\n');
 }
 
 // --- CLI Definitions ---
 
 program
     .name('mapart-cli')
-    .description('CLI to control the multi-bot map art project.');
+    .description('CLI to control the multi-bot map art projects.')
+    .option('-p, --project <project>', 'ID or name of the project to work on (the selected project by default)');
 
-program
+addImageOptions(program
     .command('start')
-    .description('Starts a new map art project. Clears any existing project.')
-    .argument('<image_source>', 'URL or local file name in ./assets for the image')
-    .option('-d, --dither <algorithm>', 'Dithering algorithm to use', 'floydSteinberg')
+    .description('Starts a new map art project and selects it. Other projects are left as they are.')
+    .argument('<image_source>', `URL or local file name in ./assets for the image, a ${SchematicImporter.EXTENSIONS.join('/')} file to build as is, or a map_<n>.dat map to recreate`))
+    .option('-n, --name <name>', 'Name of the project (the image file name by default)')
+    .option('--origin <x,y,z>', 'Start corner of the site (mapart_offsets.start by default)', parseOrigin)
     .action(async (imageSource, options) => {
         console.log('Starting new map art project...');
         const db = new DatabaseManager(DB_PATH);
         await db.init();
 
-        const validAlgorithms = ['floydSteinberg', 'jarvisJudiceNinke', 'stucki', 'atkinson', 'sierra', 'burkes'];
-        if (!validAlgorithms.includes(options.dither)) {
-            console.error(`Invalid dithering algorithm: "${options.dither}".`);
-            console.error(`Valid options are: ${validAlgorithms.join(', ')}`);
+        const name = options.name || path.parse(imageSource.split('?')[0]).name;
+        if (await db.findProject(name)) {
+            console.error(`A project named "${name}" already exists. Choose another with --name, or remove it with "project delete".`);
             return;
         }
 
-        console.log(`Processing image: ${imageSource} with ${options.dither} dithering...`);
-        const imageData = await ImageProcessor.processImage(imageSource, options.dither);
+        const palette = Palette.load(MC_VERSION);
+        let imageData;
+        let dithering = options.dither;
+        let imageOptions;
 
-        if (!imageData) {
-            console.error('Failed to process image. Aborting.');
+        if (SchematicImporter.isSchematic(imageSource)) {
+            // The file already is a block grid: its size sets the maps and its heights the mode
+            const filePath = fs.existsSync(imageSource) ? imageSource : path.join('assets', imageSource);
+            console.log(`Importing block grid from ${filePath}...`);
+            try {
+                const imported = await SchematicImporter.load(filePath, palette);
+                imageData = imported.imageData;
+                imageOptions = { mode: imported.mode };
+                console.log(`Imported ${imported.grid.cols}x${imported.grid.rows} map(s) in ${imported.mode} mode.`);
+            } catch (err) {
+                console.error(`Failed to import ${filePath}: ${err.message}`);
+                return;
+            }
+            dithering = 'none';
+        } else if (MapItemImporter.isMapItem(imageSource)) {
+            const filePath = fs.existsSync(imageSource) ? imageSource : path.join('assets', imageSource);
+            if (!ColorMetrics.NAMES.includes(options.metric)) {
+                console.error(`Invalid color metric: "${options.metric}".`);
+                return;
+            }
+            console.log(`Importing map colors from ${filePath}...`);
+            try {
+                const imported = await MapItemImporter.load(filePath, palette, { metric: options.metric });
+                imageData = imported.imageData;
+                imageOptions = { mode: imported.mode, metric: options.metric };
+                console.log(`Imported the map in ${imported.mode} mode.`);
+                if (imported.report.length > 0) {
+                    console.log('\n--- Colors that cannot be reproduced ---');
+                    for (const { colorId, colorName, shade, count, reason, replacement } of imported.report) {
+                        const label = `${colorName || `color ${colorId}`} (shade ${shade})`;
+                        console.log(`  ${label.padEnd(32)} ${String(count).padStart(6)} px  ${reason}` +
+                            (replacement ? ` -> ${replacement}` : ', left empty'));
+                    }
+                    console.log('');
+                }
+            } catch (err) {
+                console.error(`Failed to import ${filePath}: ${err.message}`);
+                return;
+            }
+            dithering = 'none';
+        } else {
+            imageOptions = parseImageOptions(options);
+            if (!imageOptions) return;
+        }
+
+        const staircase = imageOptions.mode === 'staircase';
+        if (staircase && !mapArtOffsets.supportBlock) {
+            console.error('Staircase mode needs a "supportBlock" in config/mapart_offsets.js.');
             return;
         }
 
-        await db.startNewMapArt(imageSource, options.dither, imageData, mapArtOffsets.width);
-        console.log('Project created successfully in the database.');
+        if (!imageData) {
+            console.log(`Processing image: ${imageSource} with ${options.dither} dithering...`);
+            imageData = await ImageProcessor.processImage(imageSource, options.dither, { ...imageOptions, palette });
+
+            if (!imageData) {
+                console.error('Failed to process image. Aborting.');
+                return;
+            }
+        }
+
+        let projectId;
+        try {
+            projectId = await db.startNewMapArt(imageSource, dithering, imageData, mapArtOffsets.width, {
+                ...imageOptions,
+                name,
+                origin: options.origin || mapArtOffsets.start,
+                supportBlock: staircase ? mapArtOffsets.supportBlock : null,
+                noobline: staircase ? ImageProcessor.nooblineHeights(imageData) : null
+            });
+        } catch (err) {
+            console.error(`Failed to create the project: ${err.message}`);
+            return;
+        }
+        console.log(`Project "${name}" (${projectId}) created successfully in the database and selected.`);
         
-        await launchBots();
+        await launchBots(db);
+    });
+
+addImageOptions(program
+    .command('preview')
+    .description('Renders the plan for an image to a PNG without touching the project or the bots.')
+    .argument('<image_source>', 'URL or local file name in ./assets for the image'))
+    .option('-o, --output <file>', 'Where to write the preview', 'preview.png')
+    .option('-s, --scale <factor>', 'Upscale each block to this many pixels', v => parseInt(v, 10), 4)
+    .option('-g, --grid [blocks]', 'Draw grid lines every N blocks (16 if no N is given) and around each map')
+    .action(async (imageSource, options) => {
+        const imageOptions = parseImageOptions(options);
+        if (!imageOptions) return;
+
+        const scale = options.scale;
+        const gridSpacing = options.grid === true ? 16 : options.grid ? parseInt(options.grid, 10) : 0;
+        if (!(scale >= 1) || Number.isNaN(gridSpacing) || gridSpacing < 0) {
+            console.error('Invalid scale or grid spacing. They must be positive whole numbers.');
+            return;
+        }
+
+        const palette = Palette.load(MC_VERSION);
+        const imageData = await ImageProcessor.processImage(imageSource, options.dither, { ...imageOptions, palette });
+        if (!imageData) {
+            console.error('Failed to process image.');
+            return;
+        }
+
+        const preview = MapRenderer.render(imageData, palette, { scale, grid: gridSpacing });
+        await preview.writeAsync(options.output);
+        console.log(`Preview written to ${options.output} (${preview.bitmap.width}x${preview.bitmap.height}).`);
+
+        // Per-color block counts, most used first
+        const counts = new Map();
+        let supportBlocks = 0;
+        for (const row of imageData) {
+            for (const block of row) {
+                const key = `${block.name}\t${block.id}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+                if (!block.empty) supportBlocks += block.y;
+            }
+        }
+        console.log('\n--- Blocks ---');
+        for (const [key, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+            const [name, id] = key.split('\t');
+            if (name === ImageProcessor.EMPTY_COLOR) {
+                console.log(`  ${'(empty)'.padEnd(24)} ${''.padEnd(28)} ${String(count).padStart(6)}`);
+            } else {
+                console.log(`  ${name.padEnd(24)} ${id.padEnd(28)} ${String(count).padStart(6)}`);
+            }
+        }
+        if (options.mode === 'staircase') {
+            const noobline = ImageProcessor.nooblineHeights(imageData).reduce((sum, y) => sum + y + 1, 0);
+            console.log(`  ${'support'.padEnd(24)} ${String(mapArtOffsets.supportBlock).padEnd(28)} ${String(supportBlocks + noobline).padStart(6)}`);
+        }
+        console.log('');
+    });
+
+addImageOptions(program
+    .command('materials')
+    .description('Lists the blocks needed for the current project, or for an image if one is given.')
+    .argument('[image_source]', 'Plan this image instead of reading the project (takes the same options as "preview")'))
+    .option('-f, --format <format>', 'Output format: table, csv or json', 'table')
+    .option('-o, --output <file>', 'Write the list to a file instead of the console')
+    .option('--chests', 'Log in with a bot and compare against the contents of the storage chests', false)
+    .option('--bot <username>', 'Bot from config/bots.json to count the chests with (the first one by default)')
+    .action(async (imageSource, options) => {
+        if (!['table', 'csv', 'json'].includes(options.format)) {
+            console.error(`Invalid format: "${options.format}". Valid options are: table, csv, json`);
+            return;
+        }
+
+        let materials;
+        let budgets = {};
+        let offsets = mapArtOffsets;
+        if (imageSource) {
+            const imageOptions = parseImageOptions(options);
+            if (!imageOptions) return;
+            if (options.mode === 'staircase' && !mapArtOffsets.supportBlock) {
+                console.error('Staircase mode needs a "supportBlock" in config/mapart_offsets.js.');
+                return;
+            }
+            const palette = Palette.load(MC_VERSION);
+            const imageData = await ImageProcessor.processImage(imageSource, options.dither, { ...imageOptions, palette });
+            if (!imageData) {
+                console.error('Failed to process image.');
+                return;
+            }
+            materials = planMaterials(imageData, mapArtOffsets.supportBlock, options.mode === 'staircase');
+            budgets = imageOptions.budgets;
+        } else {
+            const { db, project } = await openProject();
+            if (!project) {
+                console.log('No project found. Give an image to plan one without starting it.');
+                return;
+            }
+            offsets = siteOffsets(project);
+            budgets = JSON.parse(project.color_budgets || '{}');
+            materials = await db.getMaterials();
+        }
+
+        let stock = null;
+        if (options.chests) {
+            const botConfig = options.bot ? botConfigs.find(config => config.username === options.bot) : botConfigs[0];
+            if (!botConfig) {
+                console.error(`No bot ${options.bot ? `"${options.bot}" ` : ''}in config/bots.json.`);
+                return;
+            }
+            const StockCheckBot = require('./StockCheckBot.js');
+            try {
+                stock = await new StockCheckBot(botConfig, materials.map(material => material.item_id), offsets).stock;
+            } catch (err) {
+                console.error(`Could not count the chests: ${err.message}`);
+                return;
+            }
+        }
+
+        const mcData = MC_VERSION ? require('minecraft-data')(MC_VERSION) : null;
+        const palette = Palette.load(MC_VERSION);
+        const rows = materials.map(({ item_id, total, placed }) => {
+            const remaining = total - placed;
+            const stackSize = mcData?.itemsByName[item_id]?.stackSize || 64;
+            const stacks = Math.ceil(remaining / stackSize);
+            const row = { item_id, total, placed, remaining, stacks, shulkers: Math.ceil(stacks / SHULKER_SLOTS) };
+            if (Object.keys(budgets).length > 0) {
+                row.budget = budgets[palette.colorOf(item_id)] ?? null;
+            }
+            if (stock) {
+                row.in_chests = stock[item_id];
+                row.missing = stock[item_id] === null ? null : Math.max(0, remaining - stock[item_id]);
+            }
+            return row;
+        });
+
+        const output = formatMaterials(rows, options.format);
+        if (options.output) {
+            fs.writeFileSync(options.output, output + '\n');
+            console.log(`Materials written to ${options.output}.`);
+        } else {
+            console.log(output);
+        }
+        if (options.chests) process.exit(0); // The bot's connection can keep the process alive
+    });
+
+program
+    .command('export')
+    .description('Writes the current plan as a schematic, positioned where the bots will build it.')
+    .argument('[file]', `Output file (${SchematicExporter.EXTENSIONS.join(' or ')}); without an extension both are written`, 'mapart')
+    .action(async (file) => {
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found. Use "start" to create one.');
+            return;
+        }
+
+        const extension = path.extname(file).toLowerCase();
+        if (extension && !SchematicExporter.EXTENSIONS.includes(extension)) {
+            console.error(`Unsupported format "${extension}". Use ${SchematicExporter.EXTENSIONS.join(' or ')}.`);
+            return;
+        }
+        const files = extension ? [file] : SchematicExporter.EXTENSIONS.map(ext => file + ext);
+        const palette = Palette.load(MC_VERSION);
+
+        const volume = SchematicExporter.buildVolume({
+            start: [project.origin_x, project.origin_y, project.origin_z],
+            blocks: await db.getPlanBlocks(),
+            noobline: await db.getNoobline(),
+            nooblineZ: project.grid_rows * ImageProcessor.MAP_SIZE,
+            // Flat projects have no support block of their own; the bots fall back to the configured one too
+            supportBlock: project.support_block || mapArtOffsets.supportBlock || null,
+            needsSupport: itemId => palette.needsSupport(itemId)
+        });
+        const meta = {
+            name: path.basename(file, extension),
+            dataVersion: MC_VERSION ? require('minecraft-data')(MC_VERSION).version.dataVersion : undefined
+        };
+
+        for (const output of files) {
+            if (path.extname(output).toLowerCase() === '.litematic') {
+                SchematicExporter.writeLitematic(volume, output, meta);
+            } else {
+                SchematicExporter.writeSponge(volume, output, meta);
+            }
+            console.log(`Wrote ${output}.`);
+        }
+        const [x, y, z] = volume.origin;
+        console.log(`Place the schematic with its origin (north-west bottom corner) at ${x} ${y} ${z}; ` +
+            `it is ${volume.width}x${volume.height}x${volume.length} blocks.`);
+    });
+
+program
+    .command('render')
+    .description('Renders the current project the way the finished maps will look in-game.')
+    .argument('[output]', 'Where to write the image', 'render.png')
+    .option('-m, --mode <mode>', `What to render: ${MapRenderer.MODES.join(', ')} (the plan vs. what has been placed so far)`, 'plan')
+    .option('-s, --scale <factor>', 'Upscale each block to this many pixels', v => parseInt(v, 10), 4)
+    .option('-g, --grid [blocks]', 'Draw grid lines every N blocks (16 if no N is given) and around each map')
+    .action(async (output, options) => {
+        if (!MapRenderer.MODES.includes(options.mode)) {
+            console.error(`Unknown mode "${options.mode}". Use one of: ${MapRenderer.MODES.join(', ')}.`);
+            return;
+        }
+        const scale = options.scale;
+        const gridSpacing = options.grid === true ? 16 : options.grid ? parseInt(options.grid, 10) : 0;
+        if (!(scale >= 1) || Number.isNaN(gridSpacing) || gridSpacing < 0) {
+            console.error('Invalid scale or grid spacing. They must be positive whole numbers.');
+            return;
+        }
+
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found. Use "start" to create one.');
+            return;
+        }
+
+        const palette = Palette.load(MC_VERSION);
+        const plan = MapRenderer.planFromBlocks(await db.getPlanBlocks(), project.grid_cols, project.grid_rows);
+        let imageData = plan;
+        if (options.mode !== 'plan') {
+            const placed = MapRenderer.placedState(plan, await db.getNoobline());
+            imageData = placed;
+            if (options.mode === 'diff') {
+                const diff = MapRenderer.diff(plan, placed, palette);
+                imageData = diff.imageData;
+                console.log(`Matching: ${diff.matching}, not placed (magenta): ${diff.missing}, wrong shade (yellow): ${diff.wrongShade}.`);
+            }
+        }
+
+        const image = MapRenderer.render(imageData, palette, { scale, grid: gridSpacing });
+        await image.writeAsync(output);
+        console.log(`Wrote ${output} (${image.bitmap.width}x${image.bitmap.height}).`);
+    });
+
+program
+    .command('verify')
+    .description('Logs in with a bot and checks completed strips block by block against the plan. Wrong or missing blocks are queued for repair.')
+    .argument('[strips...]', 'The strips to check (all completed strips by default)')
+    .option('--bot <username>', 'Bot from config/bots.json to check with (the first one by default)')
+    .action(async (strips, options) => {
+        const requested = strips.map(Number);
+        if (!requested.every(Number.isInteger)) {
+            console.error('Strip indices must be whole numbers.');
+            return;
+        }
+        const botConfig = options.bot ? botConfigs.find(config => config.username === options.bot) : botConfigs[0];
+        if (!botConfig) {
+            console.error(`No bot ${options.bot ? `"${options.bot}" ` : ''}in config/bots.json.`);
+            return;
+        }
+
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found.');
+            return;
+        }
+        const completed = (await db.getCompletedStrips()).map(strip => strip.strip_index);
+        const notCompleted = requested.filter(index => !completed.includes(index));
+        if (notCompleted.length > 0) {
+            console.error(`Strip(s) ${notCompleted.join(', ')} are not completed. Only finished strips can be verified.`);
+            return;
+        }
+        const stripIndices = requested.length > 0 ? requested : completed;
+        if (stripIndices.length === 0) {
+            console.log(`Project "${project.name}" has no completed strips yet.`);
+            return;
+        }
+
+        const VerifyBot = require('./VerifyBot.js');
+        let report;
+        try {
+            report = await new VerifyBot(botConfig, db, stripIndices, siteOffsets(project)).report;
+        } catch (err) {
+            console.error(`Could not verify the strips: ${err.message}`);
+            process.exit(1);
+        }
+
+        console.log(`\n--- Verification of "${project.name}" ---`);
+        for (const [stripIndex, { checked, mismatches, unloaded, repairStrip }] of Object.entries(report)) {
+            const result = mismatches.length > 0 ? `${mismatches.length} wrong, repairs queued as strip ${repairStrip}` : 'ok';
+            console.log(`  Strip ${String(stripIndex).padStart(3)}: ${String(checked).padStart(5)} checked, ${result}${unloaded > 0 ? ` (${unloaded} not loaded)` : ''}`);
+            for (const { x, z, item_id, found } of mismatches.slice(0, 10)) {
+                console.log(`      (${x}, ${z}) expected ${item_id}, found ${found}`);
+            }
+            if (mismatches.length > 10) console.log(`      ... and ${mismatches.length - 10} more (see "log -t block_mismatch").`);
+        }
+        console.log('');
+        await db.close();
+        process.exit(0); // The bot's connection can keep the process alive
+    });
+
+program
+    .command('assign-region')
+    .description('Adds a rectangle of the selected project as a work unit, which the next idle bot builds (or rebuilds) before any remaining strip.')
+    .argument('<x1>', 'One corner, in plan coordinates (or world coordinates with --world)')
+    .argument('<z1>')
+    .argument('<x2>', 'The opposite corner, included in the region')
+    .argument('<z2>')
+    .option('--world', 'The corners are world block coordinates', false)
+    .option('--rebuild', 'Mark the region\'s blocks as not placed, so bots check and place every one of them again', false)
+    .action(async (x1, z1, x2, z2, options) => {
+        let corners = [x1, z1, x2, z2].map(Number);
+        if (!corners.every(Number.isInteger)) {
+            console.error('Corners must be whole block coordinates.');
+            return;
+        }
+
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found.');
+            return;
+        }
+        if (options.world) {
+            // Plan coordinates grow towards -x / -z from the site's start corner
+            const [wx1, wz1, wx2, wz2] = corners;
+            corners = [project.origin_x - wx1, project.origin_z - wz1, project.origin_x - wx2, project.origin_z - wz2];
+        }
+        const [px1, pz1, px2, pz2] = corners;
+        const region = {
+            xStart: Math.min(px1, px2), xEnd: Math.max(px1, px2) + 1,
+            zStart: Math.min(pz1, pz2), zEnd: Math.max(pz1, pz2) + 1
+        };
+
+        try {
+            if (options.rebuild) await db.resetRegion(region);
+            const stripIndex = await db.addWorkUnit(region);
+            const { x_start, x_end, z_start, z_end } = await db.getStrip(stripIndex);
+            const remaining = (await db.getPlacementsForStrip(stripIndex)).length;
+            console.log(`Added strip ${stripIndex}: x ${x_start}..${x_end - 1}, z ${z_start}..${z_end - 1} (plan coordinates), ${remaining} block(s) to place.`);
+        } catch (err) {
+            console.error(err.message);
+        } finally {
+            await db.close();
+        }
     });
 
 program
     .command('continue')
     .description('Resumes a paused project and launches the bots.')
     .action(async () => {
-        const db = new DatabaseManager(DB_PATH);
-        await db.init();
-        
-        const project = await db.getProjectState();
+        const { db, project } = await openProject();
         if (!project || !project.is_active) {
-            console.log('No active project to continue. Use "start" to begin a new one.');
+            console.log(project && project.is_archived
+                ? `Project "${project.name}" is archived.`
+                : 'No active project to continue. Use "start" to begin a new one.');
             return;
         }
 
@@ -107,39 +757,45 @@ program
             console.log('Project is already running.');
         } else {
             await db.setPaused(false);
-            console.log('Project resumed.');
+            console.log(`Project "${project.name}" resumed.`);
         }
 
-        await launchBots();
+        await launchBots(db);
     });
 
 program
     .command('pause')
-    .description('Pauses the current project. Does not stop the bot processes.')
+    .description('Pauses the selected project. Does not stop the bot processes.')
     .action(async () => {
-        const db = new DatabaseManager(DB_PATH);
-        await db.init();
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found.');
+            return;
+        }
         await db.setPaused(true);
         console.log('Pause command sent. Bots will idle on their next check.');
     });
 
 program
     .command('clear')
-    .description('Stops any running bots and completely clears the project progress.')
+    .description('Stops any running bots and deletes the selected project with all of its progress.')
     .action(async () => {
-        shutdown(); // Kills any running child processes first
-        const db = new DatabaseManager(DB_PATH);
-        await db.init();
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found.');
+            return;
+        }
         await db.clearProject();
-        console.log('Project progress has been cleared from the database.');
+        await db.close();
+        console.log(`Project "${project.name}" has been cleared from the database.`);
+        shutdown(); // Stops the bots of this process and exits
     });
 
 program
     .command('status')
-    .description('Displays the status of the current map art project.')
+    .description('Displays the status of the selected map art project.')
     .action(async () => {
-        const db = new DatabaseManager(DB_PATH);
-        await db.init();
+        const { db } = await openProject();
         const stats = await db.getCompletionStats();
 
         if (!stats.project) {
@@ -150,16 +806,290 @@ program
         const percentage = ((stats.placed_blocks / stats.total_blocks) * 100).toFixed(2);
 
         console.log('\n--- Map Art Status ---');
+        console.log(`  Project:        ${stats.project.name} (${stats.project.id})` +
+            (stats.project.is_archived ? ', archived' : ''));
+        console.log(`  Site:           ${stats.project.origin_x} ${stats.project.origin_y} ${stats.project.origin_z}`);
         console.log(`  Project Active: ${stats.project.is_active ? 'Yes' : 'No'}`);
         console.log(`  Project Paused: ${stats.project.is_paused ? 'Yes' : 'No'}`);
         console.log(`  Image Source:   ${stats.project.image_source}`);
-        console.log(`  Dithering:      ${stats.project.dithering_algorithm}`);
+        console.log(`  Dithering:      ${stats.project.dithering_algorithm}` +
+            ` (strength ${stats.project.diffusion_strength}${stats.project.serpentine ? ', serpentine' : ''})`);
+        console.log(`  Mode:           ${stats.project.mode}`);
+        console.log(`  Color Metric:   ${stats.project.color_metric}`);
+        console.log(`  Fit:            ${stats.project.fit}` +
+            (stats.project.fit === 'stretch' ? '' : ` (${stats.project.gravity})`) +
+            (stats.project.crop ? `, crop ${stats.project.crop}` : ''));
+        const changedAdjustments = Object.entries(ImageProcessor.DEFAULT_ADJUSTMENTS)
+            .filter(([name, value]) => Number(stats.project[name]) !== Number(value))
+            .map(([name]) => (name === 'equalize' ? 'equalize' : `${name} ${stats.project[name]}`));
+        if (changedAdjustments.length > 0) {
+            console.log(`  Adjustments:    ${changedAdjustments.join(', ')}`);
+        }
+        if (stats.project.color_budgets) {
+            const budgets = Object.entries(JSON.parse(stats.project.color_budgets));
+            console.log(`  Color Budgets:  ${budgets.map(([name, limit]) => `${name} ${limit}`).join(', ')}`);
+        }
+        if (stats.project.unavailable_colors) {
+            console.log(`  Unavailable:    ${JSON.parse(stats.project.unavailable_colors).join(', ')}`);
+        }
         console.log('\n--- Progress ---');
         console.log(`  Overall:        ${percentage}% complete`);
-        console.log(`  Blocks:         ${stats.placed_blocks} / ${stats.total_blocks}`);
+        console.log(`  Blocks:         ${stats.placed_blocks} / ${stats.total_blocks}` +
+            (stats.empty_blocks ? ` (${stats.empty_blocks} left empty)` : ''));
         console.log(`  Strips:         ${stats.completed_strips} / ${stats.total_strips} completed`);
         console.log(`                  ${stats.assigned_strips} assigned, ${stats.pending_strips} pending`);
+        console.log(`  Scheduling:     ${mapArtOffsets.scheduling || StripScheduler.DEFAULT}` +
+            (mapArtOffsets.workStealing ? ', with work stealing' : ''));
+        const leases = await db.getLeases();
+        if (leases.length > 0) {
+            const duration = seconds => (seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`);
+            console.log(`\n--- Leases (expire after ${DatabaseManager.LEASE_TIMEOUT}s without a heartbeat) ---`);
+            for (const lease of leases) {
+                console.log(`  Strip ${String(lease.strip_index).padStart(4)}  ${String(lease.assigned_to).padEnd(16)} ` +
+                    `held ${duration(lease.age).padStart(8)}, last heartbeat ${duration(lease.since_heartbeat)} ago` +
+                    (lease.expired ? '  EXPIRED (reclaimed on the next claim)' : ''));
+            }
+        }
+        if (stats.maps.length > 1) {
+            console.log(`\n--- Maps (${stats.project.grid_cols}x${stats.project.grid_rows}) ---`);
+            for (const map of stats.maps) {
+                const mapPercentage = ((map.placed_blocks / map.total_blocks) * 100).toFixed(2);
+                console.log(`  Map ${map.map_index} [${map.grid_x}, ${map.grid_z}] at (${map.origin_x}, ${map.origin_y}, ${map.origin_z}): ${mapPercentage}%`);
+            }
+        }
         console.log('----------------------\n');
     });
 
-program.parse(process.argv);
\ No newline at end of file
+program
+    .command('log')
+    .description('Shows the event log of the selected project: placements, strip claims, restocks and disconnects.')
+    .option('--bot <username>', 'Only events of this bot')
+    .option('--strip <index>', 'Only events of this strip', v => parseInt(v, 10))
+    .option('-t, --type <types...>', `Only these event types (${DatabaseManager.EVENT_TYPES.join(', ')})`)
+    .option('--at <x,z>', 'Only events at this block, in plan coordinates')
+    .option('--since <time>', 'Only events after this: a duration back from now (e.g. 30m, 2h, 1d) or a UTC date/time')
+    .option('-n, --limit <count>', 'Show the latest this many events', v => parseInt(v, 10), 50)
+    .option('--summary', 'Count the events per bot and type instead of listing them', false)
+    .action(async (options) => {
+        const filters = { bot: options.bot, strip: options.strip, types: options.type };
+        const unknownTypes = (options.type || []).filter(type => !DatabaseManager.EVENT_TYPES.includes(type));
+        if (unknownTypes.length > 0) {
+            console.error(`Unknown event type(s): ${unknownTypes.join(', ')}. Valid types are: ${DatabaseManager.EVENT_TYPES.join(', ')}`);
+            return;
+        }
+        if (Number.isNaN(options.strip) || !(options.limit > 0)) {
+            console.error('Strip and limit must be whole numbers.');
+            return;
+        }
+        if (options.at) {
+            const [x, z] = options.at.split(',').map(Number);
+            if (!Number.isInteger(x) || !Number.isInteger(z)) {
+                console.error(`Invalid position "${options.at}". Use x,z, e.g. 40,77.`);
+                return;
+            }
+            Object.assign(filters, { x, z });
+        }
+        if (options.since) {
+            const duration = /^(\d+)([smhd])$/.exec(options.since);
+            const seconds = duration && duration[1] * { s: 1, m: 60, h: 3600, d: 86400 }[duration[2]];
+            const since = duration ? new Date(Date.now() - seconds * 1000) : new Date(`${options.since.replace(' ', 'T')}Z`);
+            if (Number.isNaN(since.getTime())) {
+                console.error(`Invalid time "${options.since}". Use e.g. 30m, 2h, 1d or 2024-05-01 18:00.`);
+                return;
+            }
+            filters.since = since.toISOString().replace('T', ' ').replace('Z', '');
+        }
+
+        const { db, project } = await openProject();
+        if (!project) {
+            console.log('No project found.');
+            return;
+        }
+
+        if (options.summary) {
+            const rows = await db.getEventSummary(filters);
+            if (rows.length === 0) {
+                console.log('No matching events.');
+                return;
+            }
+            console.log(`\n--- Events of "${project.name}" ---`);
+            for (const { bot, type, count, first, last } of rows) {
+                // Placement rate over the time between the first and the last placement
+                const hours = (Date.parse(`${last.replace(' ', 'T')}Z`) - Date.parse(`${first.replace(' ', 'T')}Z`)) / 3600000;
+                const rate = type === 'block_placed' && hours > 0 ? `  (${(count / hours).toFixed(1)}/h)` : '';
+                console.log(`  ${String(bot ?? '-').padEnd(16)} ${type.padEnd(18)} ${String(count).padStart(7)}${rate}`);
+            }
+            console.log('');
+            return;
+        }
+
+        const events = await db.getEvents({ ...filters, limit: options.limit });
+        if (events.length === 0) {
+            console.log('No matching events.');
+            return;
+        }
+        for (const event of events) {
+            const parts = [event.created_at, String(event.bot ?? '-').padEnd(16), event.type.padEnd(18)];
+            if (event.strip_index !== null) parts.push(`strip ${event.strip_index}`);
+            if (event.x !== null) parts.push(event.z !== null ? `(${event.x}, ${event.z})` : `x ${event.x}`);
+            if (event.item_id) parts.push(event.item_id);
+            if (event.count !== null) parts.push(`x${event.count}`);
+            if (event.details) parts.push(event.details);
+            console.log(parts.join('  '));
+        }
+    });
+
+program
+    .command('algorithms')
+    .description('Lists the available dithering algorithms, including custom kernels in config/kernels/.')
+    .action(() => {
+        console.log('\n--- Dithering Algorithms ---');
+        for (const name of DitheringRegistry.names()) {
+            const algorithm = DitheringRegistry.get(name);
+            const detail = algorithm.type === 'errorDiffusion'
+                ? `error diffusion, ${algorithm.pattern.length} neighbours`
+                : 'ordered';
+            console.log(`  ${name.padEnd(20)} ${detail}`);
+        }
+        console.log('');
+    });
+
+const projectCommand = program
+    .command('project')
+    .description('Lists, selects, archives or deletes map art projects.');
+
+projectCommand
+    .command('list')
+    .description('Lists every project with its progress. The selected one is marked with *.')
+    .action(async () => {
+        const db = new DatabaseManager(DB_PATH);
+        await db.init();
+        const projects = await db.listProjects();
+        if (projects.length === 0) {
+            console.log('No projects. Use "start" to create one.');
+            return;
+        }
+        const selected = await db.getSelectedProject();
+        const assigned = botConfigs.filter(config => config.project !== undefined);
+
+        console.log('\n--- Projects ---');
+        for (const project of projects) {
+            const state = project.is_archived ? 'archived' : !project.is_active ? 'inactive' : project.is_paused ? 'paused' : 'active';
+            const percentage = project.total_blocks ? ((project.placed_blocks / project.total_blocks) * 100).toFixed(2) : '0.00';
+            const bots = assigned
+                .filter(config => String(config.project) === String(project.id) || config.project === project.name)
+                .map(config => config.username);
+            console.log(`${selected && selected.id === project.id ? '*' : ' '} ${String(project.id).padStart(3)}  ${project.name.padEnd(24)} ` +
+                `${state.padEnd(8)} ${percentage.padStart(6)}%  at ${project.origin_x} ${project.origin_y} ${project.origin_z}` +
+                (bots.length ? `  bots: ${bots.join(', ')}` : ''));
+        }
+        console.log('');
+    });
+
+projectCommand
+    .command('select')
+    .description('Selects the project that commands and unassigned bots work on.')
+    .argument('<project>', 'Project ID or name')
+    .action(async (name) => {
+        const db = new DatabaseManager(DB_PATH);
+        await db.init();
+        const project = await db.findProject(name);
+        if (!project) {
+            console.error(`There is no project "${name}". See "project list".`);
+            return;
+        }
+        await db.selectProject(project.id);
+        console.log(`Selected project "${project.name}" (${project.id}).`);
+    });
+
+projectCommand
+    .command('archive')
+    .description('Archives a project: it is kept, but no bot works on it anymore.')
+    .argument('<project>', 'Project ID or name')
+    .action(async (name) => {
+        const db = new DatabaseManager(DB_PATH);
+        await db.init();
+        const project = await db.findProject(name);
+        if (!project) {
+            console.error(`There is no project "${name}". See "project list".`);
+            return;
+        }
+        await db.archiveProject(project.id);
+        console.log(`Archived project "${project.name}" (${project.id}). Running bots will idle on their next check.`);
+    });
+
+projectCommand
+    .command('delete')
+    .description('Deletes a project with all of its progress.')
+    .argument('<project>', 'Project ID or name')
+    .action(async (name) => {
+        const db = new DatabaseManager(DB_PATH);
+        await db.init();
+        const project = await db.findProject(name);
+        if (!project) {
+            console.error(`There is no project "${name}". See "project list".`);
+            return;
+        }
+        await db.deleteProject(project.id);
+        console.log(`Deleted project "${project.name}" (${project.id}).`);
+    });
+
+const dbCommand = program
+    .command('db')
+    .description('Maintains the database (mapart.sqlite).');
+
+dbCommand
+    .command('migrate')
+    .description('Upgrades the database schema. Every command does this on its own; use this to see what changes.')
+    .option('--dry-run', 'Only list the migrations that would be applied', false)
+    .action(async (options) => {
+        const db = new DatabaseManager(DB_PATH);
+        await db.init({ migrate: false });
+        const { from, to, pending } = await db.migrate({ dryRun: options.dryRun });
+
+        if (pending.length === 0) {
+            console.log(`Schema is up to date (version ${to}).`);
+            return;
+        }
+        console.log(`${options.dryRun ? 'Would migrate' : 'Migrated'} the schema from version ${from} to ${to}:`);
+        for (const { version, description } of pending) {
+            console.log(`  ${String(version).padStart(3)}  ${description}`);
+        }
+    });
+
+const paletteCommand = program
+    .command('palette')
+    .description('Lists or changes the blocks the map art is built from (config/palette.json).');
+
+paletteCommand
+    .command('list')
+    .description('Lists every map color and its blocks for the configured Minecraft version.')
+    .option('-e, --enabled', 'Only show enabled blocks')
+    .action((options) => {
+        const palette = Palette.load(MC_VERSION);
+        console.log(`\n--- Palette (${MC_VERSION || 'any version'}) ---`);
+        for (const color of palette.colors) {
+            const blocks = color.blocks.filter(block => block.enabled || !options.enabled);
+            if (blocks.length === 0) continue;
+            const list = blocks.map(block => `${block.enabled ? '[x]' : '[ ]'} ${block.id}`).join('  ');
+            console.log(`  ${color.name.padEnd(24)} ${list}`);
+        }
+        console.log('');
+    });
+
+paletteCommand
+    .command('enable')
+    .description('Enables one or more blocks.')
+    .argument('<blocks...>', 'Block IDs, e.g. white_concrete')
+    .action((blocks) => setBlocksEnabled(blocks, true));
+
+paletteCommand
+    .command('disable')
+    .description('Disables one or more blocks.')
+    .argument('<blocks...>', 'Block IDs, e.g. white_carpet')
+    .action((blocks) => setBlocksEnabled(blocks, false));
+
+program.parseAsync(process.argv).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
\ No newline at end of file
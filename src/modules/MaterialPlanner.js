@@ -0,0 +1,89 @@
+// Slots kept free for the drops of wrong blocks that get dug out of the way.
+const RESERVED_SLOTS = 2;
+
+function addCounts(target, counts) {
+    for (const [itemId, count] of Object.entries(counts)) {
+        target[itemId] = (target[itemId] || 0) + count;
+    }
+    return target;
+}
+
+/**
+ * Splits the remaining work of a strip into legs that each fit into one inventory load, so a bot
+ * restocks exactly what the next leg needs, builds it and comes back for the next one.
+ */
+class MaterialPlanner {
+    /**
+     * @param {object} mcData - Minecraft data, for stack sizes.
+     */
+    constructor(mcData) {
+        this.mcData = mcData;
+    }
+
+    /**
+     * Items needed to build placements. Staircase columns count the whole support column, even if
+     * part of it is already built.
+     * @param {Array<object>} placements - From `DatabaseManager.getPlacementsForStrip`.
+     * @returns {object} Item ID -> count.
+     */
+    static requiredFor(placements) {
+        const required = {};
+        for (const placement of placements) {
+            required[placement.item_id] = (required[placement.item_id] || 0) + 1;
+            if (placement.y > 0) {
+                required[placement.support_id] = (required[placement.support_id] || 0) + placement.y;
+            }
+        }
+        return required;
+    }
+
+    /**
+     * @param {object} required - Item ID -> count.
+     * @returns {number} The inventory slots these items take up.
+     */
+    slotsFor(required) {
+        return Object.entries(required).reduce((slots, [itemId, count]) => {
+            const stackSize = this.mcData.itemsByName[itemId]?.stackSize || 64;
+            return slots + Math.ceil(count / stackSize);
+        }, 0);
+    }
+
+    /**
+     * Groups batches, in build order, into legs that fit into `freeSlots` less the reserve. Legs end
+     * between batches, where the bot walks to a new spot anyway; only a batch that doesn't fit on
+     * its own (tall support columns, many colors) is split between its placements.
+     * @param {Array<Array<object>>} batches - From `StripPlacer.groupIntoBatches`.
+     * @param {number} freeSlots - Empty inventory slots after a restock has cleared the inventory
+     *   (`Restocker.freeSlotsAfterDiscard`).
+     * @returns {Array<{placements: Array<object>, required: object, slots: number}>}
+     */
+    planLegs(batches, freeSlots) {
+        const slots = freeSlots - RESERVED_SLOTS;
+        const units = batches.flatMap(batch =>
+            (this.slotsFor(MaterialPlanner.requiredFor(batch)) > slots ? batch.map(placement => [placement]) : [batch]));
+
+        const legs = [];
+        let leg = null;
+        for (const batch of units) {
+            const batchRequired = MaterialPlanner.requiredFor(batch);
+            if (batch.length === 1 && this.slotsFor(batchRequired) > slots) {
+                const [{ x, z }] = batch;
+                console.warn(`[MaterialPlanner] The block at (${x}, ${z}) needs ${this.slotsFor(batchRequired)} slots of materials, ` +
+                    `more than the ${slots} available; its leg will not fit into the inventory.`);
+            }
+            if (leg && this.slotsFor(addCounts({ ...leg.required }, batchRequired)) > slots) {
+                legs.push(leg);
+                leg = null;
+            }
+            if (!leg) leg = { placements: [], required: {} };
+            leg.placements.push(...batch);
+            addCounts(leg.required, batchRequired);
+        }
+        if (leg) legs.push(leg);
+        return legs.map(({ placements, required }) => ({ placements, required, slots: this.slotsFor(required) }));
+    }
+}
+
+MaterialPlanner.RESERVED_SLOTS = RESERVED_SLOTS;
+
+module.exports = MaterialPlanner;
@@ -1,53 +1,76 @@
 const { Vec3 } = require('vec3');
 const { GoalNear } = require('mineflayer-pathfinder').goals;
-const ImageProcessor = require('../utils/ImageProcessor');
-
-// Reverse mapping from item ID (e.g., 'white_carpet') to color name ('white')
-const ID_TO_COLOR_NAME = {};
-for (const color in ImageProcessor.COLOR_MAP) {
-    ID_TO_COLOR_NAME[ImageProcessor.COLOR_MAP[color].id] = color.replace('_', ' ');
-}
 
 class Restocker {
     /**
      * @param {import('mineflayer').Bot} bot - The mineflayer bot instance.
      * @param {object} mcData - Minecraft data.
      * @param {object} mapArtOffsets - The map art configuration.
+     * @param {import('../utils/Palette')} palette - The block palette, used to find a block's color chest.
      */
-    constructor(bot, mcData, mapArtOffsets) {
+    constructor(bot, mcData, mapArtOffsets, palette) {
         this.bot = bot;
         this.mcData = mcData;
         this.mapArtOffsets = mapArtOffsets;
+        this.palette = palette;
         this.mapArtOrigin = new Vec3(...mapArtOffsets.start);
 
         // --- Configuration for discarding items ---
         this.discardOffset = new Vec3(1, 0, 2); // 5 blocks away from the mapart corner
         this.discardPitch = -Math.PI / 4; // Look straight down
         this.discardYaw = -90;
+    }
+
+    /**
+     * Chest offsets for an item. A chest keyed by the exact item ID (e.g. 'white_concrete') wins,
+     * then the chest of the item's map color (e.g. 'white'), then the support chest.
+     * @returns {Array<Array<number>>|null}
+     */
+    getChestOffsets(itemId) {
+        const offsets = this.mapArtOffsets.offsets;
+        if (offsets[itemId]?.length) return offsets[itemId];
+
+        const colorName = this.palette.colorOf(itemId);
+        if (colorName && offsets[colorName]?.length) return offsets[colorName];
 
-        // Define the order of colors for restocking (based on chest positions)
-        this.restockOrder = [
-            'white',
-            'light_gray',
-            'gray', 
-            'black',
-            'brown',
-            'red',
-            'orange',
-            'yellow',
-            'lime',
-            'green',
-            'cyan',
-            'light_blue',
-            'blue',
-            'purple',
-            'magenta',
-            'pink'
-        ];
+        if (itemId === this.mapArtOffsets.supportBlock && offsets.support?.length) return offsets.support;
+        return null;
     }
 
     /**
-     * Goes to a designated spot and throws away all items in the inventory.
+     * World positions of all storage chests (the bottom chest of each stack).
+     * @returns {Vec3[]}
+     */
+    getChestPositions() {
+        return Object.entries(this.mapArtOffsets.offsets)
+            .filter(([key]) => key !== 'end')
+            .flatMap(([, chestOffsets]) => chestOffsets.map(offset => this.mapArtOrigin.plus(new Vec3(...offset))));
+    }
+
+    /**
+     * Whether `discardInventory` throws an item away. Bots keep the tools listed in `keepItems`
+     * (config/mapart_offsets.js), food and the support block; everything else goes.
+     */
+    _discards(item) {
+        const keepItems = this.mapArtOffsets.keepItems || [];
+        if (keepItems.some(name => item.name === name || item.name.endsWith(`_${name}`))) return false;
+        if (this.mcData.foodsByName[item.name]) return false;
+        return item.name !== this.mapArtOffsets.supportBlock;
+    }
+
+    /**
+     * Main inventory slots that are empty once `discardInventory` is done, i.e. the room `restock`
+     * has for materials. Kept support blocks count as taken, even though they go towards the leg.
+     * @returns {number}
+     */
+    freeSlotsAfterDiscard() {
+        const { inventoryStart, inventoryEnd } = this.bot.inventory;
+        const kept = this.bot.inventory.items().filter(item => !this._discards(item)).length;
+        return inventoryEnd - inventoryStart - kept;
+    }
+
+    /**
+     * Goes to a designated spot and throws away the items the bot doesn't keep (see `_discards`).
      */
     async discardInventory() {
         console.log('Discarding inventory...');
@@ -55,9 +78,9 @@ class Restocker {
         await this.bot.pathfinder.goto(new GoalNear(discardPos.x, discardPos.y, discardPos.z, 1));
         await this.bot.look(this.discardYaw, this.discardPitch, true);
 
-        const itemsToToss = this.bot.inventory.items();
+        const itemsToToss = this.bot.inventory.items().filter(item => this._discards(item));
         if (itemsToToss.length === 0) {
-            console.log('Inventory is already empty.');
+            console.log('Nothing to discard.');
             return;
         }
 
@@ -77,27 +100,32 @@ class Restocker {
         await this.discardInventory();
         console.log('Beginning restock process...');
 
+        // Kept items (the support block) only need topping up
         const needed = { ...requiredItems };
+        for (const itemId in needed) {
+            const itemType = this.mcData.itemsByName[itemId];
+            if (itemType) needed[itemId] -= this.bot.inventory.count(itemType.id, null);
+        }
         let allItemsFound = true;
 
-        // Restock in the predefined order
-        for (const colorName of this.restockOrder) {
-            const colorKey = colorName.replace(' ', '_');
-            const itemId = ImageProcessor.COLOR_MAP[colorKey]?.id;
-            
-            if (!itemId || !needed[itemId]) {
-                continue; // Skip if this color isn't needed
-            }
+        // Visit the chests in order of distance from the map art corner
+        const restockEntries = [];
+        for (const itemId in needed) {
+            if (needed[itemId] <= 0) continue; // Skip if this item isn't needed
 
-            const amountNeeded = needed[itemId];
-            if (amountNeeded <= 0) continue;
-
-            const chestOffsetInfo = this.mapArtOffsets.offsets[colorKey];
-            if (!chestOffsetInfo || chestOffsetInfo.length === 0) {
-                console.error(`[Restocker] No chest offset defined for color: ${colorName}`);
+            const chestOffsetInfo = this.getChestOffsets(itemId);
+            if (!chestOffsetInfo) {
+                console.error(`[Restocker] No chest offset defined for item: ${itemId}`);
                 allItemsFound = false;
                 continue;
             }
+            restockEntries.push({ itemId, chestOffsetInfo });
+        }
+        const distanceFromCorner = ({ chestOffsetInfo }) => new Vec3(...chestOffsetInfo[0]).norm();
+        restockEntries.sort((a, b) => distanceFromCorner(a) - distanceFromCorner(b));
+
+        for (const { itemId, chestOffsetInfo } of restockEntries) {
+            const amountNeeded = needed[itemId];
 
             const baseChestPos = this.mapArtOrigin.plus(new Vec3(...chestOffsetInfo[0]));
             let amountFound = 0;
@@ -118,10 +146,10 @@ class Restocker {
             }
 
             if (amountFound < amountNeeded) {
-                console.error(`[Restocker] Failed to find enough ${colorName} carpet. Needed ${amountNeeded}, found ${amountFound}.`);
+                console.error(`[Restocker] Failed to find enough ${itemId}. Needed ${amountNeeded}, found ${amountFound}.`);
                 allItemsFound = false;
             } else {
-                console.log(`[Restocker] Successfully restocked ${amountFound} of ${colorName} carpet.`);
+                console.log(`[Restocker] Successfully restocked ${amountFound} of ${itemId}.`);
             }
         }
         
@@ -129,6 +157,59 @@ class Restocker {
         return allItemsFound;
     }
     
+    /**
+     * Counts how many of each item the storage chests hold, without taking anything. Looks in the
+     * same chests `restock` would use.
+     * @param {string[]} itemIds
+     * @returns {Promise<object>} Item ID -> count, or null for items without a configured chest.
+     */
+    async countStock(itemIds) {
+        const stock = {};
+        const chestContents = new Map(); // Chests shared by several items are only opened once
+
+        for (const itemId of itemIds) {
+            const chestOffsetInfo = this.getChestOffsets(itemId);
+            if (!chestOffsetInfo) {
+                stock[itemId] = null;
+                continue;
+            }
+
+            stock[itemId] = 0;
+            const baseChestPos = this.mapArtOrigin.plus(new Vec3(...chestOffsetInfo[0]));
+            for (let yOffset = 0; yOffset < 5; yOffset++) {
+                const chestPos = baseChestPos.plus(new Vec3(0, yOffset, 0));
+                const key = chestPos.toString();
+                if (!chestContents.has(key)) {
+                    chestContents.set(key, await this.readChest(chestPos));
+                }
+                const contents = chestContents.get(key);
+                if (!contents) break; // No more chests in this column
+                stock[itemId] += contents[itemId] || 0;
+            }
+        }
+        return stock;
+    }
+
+    /**
+     * @returns {Promise<object|null>} Item name -> count for the chest at `chestPos`, or null if there is no chest.
+     */
+    async readChest(chestPos) {
+        const chestBlock = this.bot.blockAt(chestPos);
+        if (!chestBlock || !chestBlock.name.includes('chest')) {
+            return null;
+        }
+
+        await this.bot.pathfinder.goto(new GoalNear(chestPos.x, chestPos.y, chestPos.z, 2));
+        const chestWindow = await this.bot.openChest(chestBlock);
+
+        const contents = {};
+        for (const item of chestWindow.containerItems()) {
+            contents[item.name] = (contents[item.name] || 0) + item.count;
+        }
+        await chestWindow.close();
+        return contents;
+    }
+
     // --- REVISED LOGIC USING THE CORRECT METHOD ---
     async withdrawFromChest(chestPos, itemName, count) {
         const chestBlock = this.bot.blockAt(chestPos);
@@ -11,6 +11,13 @@ const INTERACTABLE_BLOCKS = new Set([
     'fletching_table', 'grindstone', 'smithing_table', 'stonecutter'
 ]);
 
+// Width and depth of the area placed from one standing spot.
+const BATCH_SPAN = 4;
+
+// How far from the bot's feet blocks get placed. Staircase columns are kept low enough to be built
+// from the ground next to them (see `ImageProcessor.MAX_STAIRCASE_HEIGHT`).
+const REACH = 4.5;
+
 // Helper function to check for interactable blocks, including shulker boxes by name.
 function needsSneakToPlaceOn(block) {
     if (!block) return false;
@@ -23,15 +30,17 @@ class StripPlacer {
      * @param {object} mcData - Minecraft data.
      * @param {object} mapArtOffsets - The map art configuration.
      * @param {import('../utils/DatabaseManager')} db - The database manager instance.
+     * @param {import('../utils/Palette')} palette - The block palette.
      */
-    constructor(bot, mcData, mapArtOffsets, db) {
+    constructor(bot, mcData, mapArtOffsets, db, palette) {
         this.bot = bot;
         this.mcData = mcData;
         this.mapArtOffsets = mapArtOffsets;
         this.db = db;
+        this.palette = palette;
         this.mapArtOrigin = new Vec3(...mapArtOffsets.start);
         
-        // World coordinates of the map art boundaries
+        // World coordinates of the map art boundaries (updated to the project's grid in `setGrid`)
         this.minBound = this.mapArtOrigin.plus(new Vec3(...mapArtOffsets.offsets.end));
         this.maxBound = this.mapArtOrigin;
 
@@ -39,6 +48,15 @@ class StripPlacer {
         this.isStopped = false;
     }
 
+    /**
+     * Widens the boundaries to a wall of `cols` x `rows` maps. `mapart_offsets.start` is the corner
+     * of map (0, 0) and every further map lies another 128 blocks towards -x / -z.
+     */
+    setGrid(cols, rows) {
+        const end = new Vec3(...this.mapArtOffsets.offsets.end);
+        this.minBound = this.mapArtOrigin.plus(end).offset(-(cols - 1) * 128, 0, -(rows - 1) * 128);
+    }
+
     pause() { this.isPaused = true; }
     continue() { this.isPaused = false; }
     stop() { 
@@ -47,26 +65,32 @@ class StripPlacer {
         this.bot.pathfinder.stop();
     }
     
-    _groupIntoFourRowBatches(placements) {
-        const rows = placements.reduce((acc, p) => {
-            acc[p.x] = acc[p.x] || [];
-            acc[p.x].push(p);
-            return acc;
-        }, {});
-
-        const sortedRowKeys = Object.keys(rows).sort((a, b) => a - b);
-        const batches = [];
-        for (let i = 0; i < sortedRowKeys.length; i += 4) {
-            const batch = [];
-            for (let j = 0; j < 4 && i + j < sortedRowKeys.length; j++) {
-                const row = rows[sortedRowKeys[i + j]].sort((a, b) => a.z - b.z);
-                batch.push(...row);
-            }
-            batches.push(batch);
+    /**
+     * Splits placements into square batches of up to BATCH_SPAN x BATCH_SPAN blocks, which the bot
+     * places from a single spot. Batches go in increasing x (then z), and within a batch row by row.
+     * Works for any shape of work unit: a band, a larger region or scattered repairs.
+     */
+    groupIntoBatches(placements) {
+        const cells = new Map();
+        for (const placement of placements) {
+            const cellX = Math.floor(placement.x / BATCH_SPAN);
+            const cellZ = Math.floor(placement.z / BATCH_SPAN);
+            const key = `${cellX},${cellZ}`;
+            if (!cells.has(key)) cells.set(key, { cellX, cellZ, batch: [] });
+            cells.get(key).batch.push(placement);
         }
-        return batches;
+
+        return [...cells.values()]
+            .sort((a, b) => a.cellX - b.cellX || a.cellZ - b.cellZ)
+            .map(({ batch }) => batch.sort((a, b) => a.x - b.x || a.z - b.z));
     }
     
+    /**
+     * Finds a spot next to the batch from which every block it still needs (support columns
+     * included) is within reach. Around raised columns the bot stands on whatever is built there,
+     * up to just above the batch's highest block.
+     * @returns {Vec3|null}
+     */
     findSafeStandPosForBatch(batch) {
         if (batch.length === 0) return null;
 
@@ -74,6 +98,7 @@ class StripPlacer {
         const maxX = Math.max(...batch.map(p => p.x));
         const minZ = Math.min(...batch.map(p => p.z));
         const maxZ = Math.max(...batch.map(p => p.z));
+        const maxY = Math.max(...batch.map(p => p.y || 0));
 
         const minWorldX = this.mapArtOrigin.x - maxX;
         const maxWorldX = this.mapArtOrigin.x - minX;
@@ -90,28 +115,110 @@ class StripPlacer {
             candidates.push(new Vec3(maxWorldX + 1, this.mapArtOrigin.y, z));
         }
 
-        for (const candidate of candidates) {
-            if (candidate.x >= this.minBound.x && candidate.x <= this.maxBound.x &&
-                candidate.z >= this.minBound.z && candidate.z <= this.maxBound.z) {
+        const targets = batch.flatMap(placement => this._missingPositionsFor(placement));
+
+        // Full blocks may already cover the map level, in which case the bot stands on top of them.
+        for (const base of candidates) {
+            if (base.x < this.minBound.x || base.x > this.maxBound.x ||
+                base.z < this.minBound.z || base.z > this.maxBound.z) continue;
+
+            for (let dy = 0; dy <= maxY + 1; dy++) {
+                const candidate = base.offset(0, dy, 0);
+                const groundBlock = this.bot.blockAt(candidate.offset(0, -1, 0));
                 const footBlock = this.bot.blockAt(candidate);
                 const headBlock = this.bot.blockAt(candidate.offset(0, 1, 0));
                 
-                if (footBlock && headBlock && 
+                if (groundBlock && footBlock && headBlock && 
+                    groundBlock.boundingBox === 'block' &&
                     (footBlock.boundingBox === 'empty' || footBlock.name.endsWith('_carpet')) && 
                     headBlock.boundingBox === 'empty') {
                     
-                    let allReachable = batch.every(placement => {
-                        const targetPos = this.mapArtOrigin.offset(-placement.x, 0, -placement.z);
-                        return candidate.distanceTo(targetPos) <= 4.5;
-                    });
-                    
+                    const allReachable = targets.every(targetPos => candidate.distanceTo(targetPos) <= REACH);
                     if (allReachable) return candidate;
                 }
             }
         }
         return null;
     }
+
+    /**
+     * World positions a placement still has to fill: its support column (bottom to top) and the
+     * block itself. Parts of the column that are already built are left out.
+     */
+    _missingPositionsFor(placement) {
+        const basePos = this.mapArtOrigin.offset(-placement.x, 0, -placement.z);
+        const positions = [];
+        for (let dy = 0; dy < (placement.y || 0); dy++) {
+            const block = this.bot.blockAt(basePos.offset(0, dy, 0));
+            if (!block || block.name !== placement.support_id) positions.push(basePos.offset(0, dy, 0));
+        }
+        positions.push(this._targetPosFor(placement));
+        return positions;
+    }
     
+    /**
+     * World position of a placement. Staircase placements sit `y` blocks above the start level.
+     */
+    _targetPosFor(placement) {
+        return this.mapArtOrigin.offset(-placement.x, placement.y || 0, -placement.z);
+    }
+
+    /**
+     * Places a single block on top of whatever is below `targetPos`, replacing any other block
+     * already there. Resolves once the block is in place and throws if it could not be placed.
+     * Blocks the palette marks as `needsSupport` (carpets, sand, gravel...) get a support block
+     * underneath first if they would otherwise rest on air or another non-full block.
+     */
+    async _placeBlockAt(targetPos, itemName, supportName = this.mapArtOffsets.supportBlock) {
+        await this.bot.lookAt(targetPos, true);
+
+        const currentBlock = this.bot.blockAt(targetPos);
+        const targetItem = this.mcData.itemsByName[itemName];
+
+        if (currentBlock && currentBlock.type === this.mcData.blocksByName[itemName].id) {
+            return;
+        }
+        
+        if (currentBlock && currentBlock.name !== 'air') {
+            await this.bot.dig(currentBlock, true);
+        }
+
+        if (!this.bot.inventory.findInventoryItem(targetItem.id)) throw new Error(`Missing item ${itemName}`);
+        await this.bot.equip(targetItem.id, 'hand');
+        if (!this.bot.heldItem || this.bot.heldItem.type !== targetItem.id) throw new Error(`Failed to equip ${itemName}`);
+        
+        const blockBelowPos = targetPos.offset(0, -1, 0);
+        let referenceBlock = this.bot.blockAt(blockBelowPos);
+        if (!referenceBlock) throw new Error(`Reference block at ${blockBelowPos} is missing/unloaded.`);
+
+        if (this.palette.needsSupport(itemName) && referenceBlock.boundingBox !== 'block') {
+            if (!supportName || this.palette.needsSupport(supportName)) {
+                throw new Error(`${itemName} needs a full block underneath at ${blockBelowPos}.`);
+            }
+            await this._placeBlockAt(blockBelowPos, supportName, null);
+            referenceBlock = this.bot.blockAt(blockBelowPos);
+        }
+        
+        const shouldSneak = needsSneakToPlaceOn(referenceBlock);
+        if (shouldSneak) this.bot.setControlState('sneak', true);
+        
+        try {
+            await this.bot.placeBlock(referenceBlock, new Vec3(0, 1, 0));
+        } finally {
+            if (shouldSneak) this.bot.setControlState('sneak', false);
+        }
+    }
+
+    /**
+     * Builds the column of support blocks a raised placement stands on, bottom to top.
+     */
+    async _buildSupportColumn(placement) {
+        const basePos = this.mapArtOrigin.offset(-placement.x, 0, -placement.z);
+        for (let dy = 0; dy < (placement.y || 0); dy++) {
+            await this._placeBlockAt(basePos.offset(0, dy, 0), placement.support_id, null);
+        }
+    }
+
     async placeBatchFromPosition(batch, standPos) {
         await this.bot.pathfinder.goto(new GoalBlock(standPos.x, standPos.y, standPos.z));
         
@@ -121,73 +228,57 @@ class StripPlacer {
             }
             if (this.isStopped) return;
 
-            const targetPos = this.mapArtOrigin.offset(-placement.x, 0, -placement.z);
-            const blockBelowPos = targetPos.offset(0, -1, 0);
+            const targetPos = this._targetPosFor(placement);
 
             let retryCount = 0;
             const maxRetries = 3;
             
             while (retryCount < maxRetries) {
                 try {
-                    await this.bot.lookAt(targetPos, true);
+                    await this._buildSupportColumn(placement);
+                    await this._placeBlockAt(targetPos, placement.item_id, placement.support_id || undefined);
 
-                    const currentBlock = this.bot.blockAt(targetPos);
-                    const targetItem = this.mcData.itemsByName[placement.item_id];
-
-                    if (currentBlock && currentBlock.type === this.mcData.blocksByName[placement.item_id].id) {
-                        await this.db.updateBlockPlaced(placement.x, placement.z);
-                        break;
-                    }
-                    
-                    if (currentBlock && currentBlock.name !== 'air') {
-                        await this.bot.dig(currentBlock, true);
-                    }
-
-                    if (!this.bot.inventory.findInventoryItem(targetItem.id)) throw new Error(`Missing item ${placement.item_id}`);
-                    await this.bot.equip(targetItem.id, 'hand');
-                    if (!this.bot.heldItem || this.bot.heldItem.type !== targetItem.id) throw new Error(`Failed to equip ${placement.item_id}`);
-                    
-                    const referenceBlock = this.bot.blockAt(blockBelowPos);
-                    if (!referenceBlock) throw new Error(`Reference block at ${blockBelowPos} is missing/unloaded.`);
-                    
-                    const shouldSneak = needsSneakToPlaceOn(referenceBlock);
-                    if (shouldSneak) this.bot.setControlState('sneak', true);
-                    
-                    try {
-                        await this.bot.placeBlock(referenceBlock, new Vec3(0, 1, 0));
-                    } finally {
-                        if (shouldSneak) this.bot.setControlState('sneak', false);
-                    }
-
-                    await this.db.updateBlockPlaced(placement.x, placement.z);
+                    const placedBy = { bot: this.bot.username, item: placement.item_id };
+                    if (placement.noobline) await this.db.updateNooblinePlaced(placement.x, placedBy);
+                    else await this.db.updateBlockPlaced(placement.x, placement.z, placedBy);
                     break;
                     
                 } catch (err) {
                     retryCount++;
                     console.error(`[${this.bot.username}] Error placing block at (${placement.x}, ${placement.z}), attempt ${retryCount}/${maxRetries}: ${err.message}`);
-                    if (retryCount >= maxRetries) console.error(`[${this.bot.username}] Failed to place block at (${placement.x}, ${placement.z}) after ${maxRetries} attempts. Skipping.`);
-                    else await this.bot.waitForTicks(10);
+                    if (retryCount >= maxRetries) {
+                        console.error(`[${this.bot.username}] Failed to place block at (${placement.x}, ${placement.z}) after ${maxRetries} attempts. Skipping.`);
+                        this.db.logEvent('block_failed', {
+                            bot: this.bot.username, x: placement.x, z: placement.z, item: placement.item_id, details: err.message
+                        });
+                    } else {
+                        await this.bot.waitForTicks(10);
+                    }
                 }
             }
         }
     }
     
-    async buildCurrentStrip(stripIndex) {
+    /**
+     * Builds the unplaced blocks of a work unit, whatever its shape (see `DatabaseManager.getPlacementsForStrip`).
+     * @param {number} stripIndex
+     * @param {Array<object>} [placements] - Only build these, e.g. one leg from `MaterialPlanner`.
+     * @returns {Promise<boolean>} True once nothing is left to place on the whole strip.
+     */
+    async buildCurrentStrip(stripIndex, placements = null) {
         this.isStopped = false;
         // isPaused is controlled by the main bot loop
         
-        const placements = await this.db.getPlacementsForStrip(stripIndex);
+        placements = placements || await this.db.getPlacementsForStrip(stripIndex);
         if (placements.length === 0) {
             console.log(`[${this.bot.username}] Strip ${stripIndex} is already complete.`);
             return true;
         }
 
-        const batches = this._groupIntoFourRowBatches(placements);
+        const batches = this.groupIntoBatches(placements);
         console.log(`[${this.bot.username}] Starting strip ${stripIndex} with ${batches.length} batches (${placements.length} blocks).`);
 
         for (let i = 0; i < batches.length; i++) {
-            const batch = batches[i];
-            
             while (this.isPaused && !this.isStopped) {
                 await this.bot.waitForTicks(20);
             }
@@ -196,13 +287,28 @@ class StripPlacer {
                 return false;
             }
 
+            // Another bot may have split off the far end of the strip (work stealing)
+            const { x_end: endX } = await this.db.getStrip(stripIndex);
+            const batch = batches[i].filter(placement => placement.x < endX);
+            if (batch.length === 0) continue;
+
             const standPos = this.findSafeStandPosForBatch(batch);
-            if (!standPos) {
-                console.error(`[${this.bot.username}] Could not find a safe standing position for batch ${i + 1}. This batch will be skipped.`);
+            if (standPos) {
+                await this.placeBatchFromPosition(batch, standPos);
                 continue;
             }
 
-            await this.placeBatchFromPosition(batch, standPos);
+            // Raised columns may be out of reach from every spot around the whole batch, but not
+            // from the ground right next to them
+            for (const placement of batch) {
+                if (this.isStopped) break;
+                const placementStandPos = batch.length > 1 ? this.findSafeStandPosForBatch([placement]) : null;
+                if (!placementStandPos) {
+                    console.error(`[${this.bot.username}] Could not find a safe standing position for (${placement.x}, ${placement.z}) in batch ${i + 1}. This block will be skipped.`);
+                    continue;
+                }
+                await this.placeBatchFromPosition([placement], placementStandPos);
+            }
         }
 
         // Final check to see if all placements are done
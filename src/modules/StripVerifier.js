@@ -0,0 +1,83 @@
+const { Vec3 } = require('vec3');
+const { GoalNear } = require('mineflayer-pathfinder').goals;
+
+// Blocks further away than this are walked up to, so the chunk is loaded and current.
+const SIGHT_RANGE = 48;
+// How close the bot walks to a block it can't see yet.
+const APPROACH_RANGE = 8;
+
+class StripVerifier {
+    /**
+     * @param {import('mineflayer').Bot} bot - The mineflayer bot instance.
+     * @param {object} mcData - Minecraft data.
+     * @param {object} mapArtOffsets - The map art configuration, with `start` set to the project's site.
+     * @param {import('../utils/DatabaseManager')} db - The database manager instance.
+     */
+    constructor(bot, mcData, mapArtOffsets, db) {
+        this.bot = bot;
+        this.mcData = mcData;
+        this.db = db;
+        this.mapArtOrigin = new Vec3(...mapArtOffsets.start);
+    }
+
+    /**
+     * Compares every block the DB has as placed on a strip with what is in the world. Blocks that are
+     * missing or of another kind (griefing, lag rollbacks, a failed dig) are marked unplaced again and
+     * queued as a repair unit, which the next idle builder claims.
+     * @param {number} stripIndex
+     * @returns {Promise<{checked: number, mismatches: Array<object>, unloaded: number, repairStrip: number|null}>}
+     *   `unloaded` counts blocks the bot couldn't get into view; they are left as they are.
+     *   `repairStrip` is the repair unit, if one was needed.
+     */
+    async verifyStrip(stripIndex) {
+        const blocks = (await this.db.getPlacementsForStrip(stripIndex, { includePlaced: true }))
+            .filter(block => block.is_placed)
+            .sort((a, b) => a.x - b.x || a.z - b.z);
+
+        console.log(`[${this.bot.username}] Verifying strip ${stripIndex} (${blocks.length} blocks).`);
+        const mismatches = [];
+        let unloaded = 0;
+
+        for (const block of blocks) {
+            const targetPos = this.mapArtOrigin.offset(-block.x, block.y || 0, -block.z);
+            const found = await this._blockInView(targetPos);
+            if (!found) {
+                unloaded++;
+                continue;
+            }
+            if (found.name !== block.item_id) {
+                mismatches.push({ ...block, found: found.name });
+            }
+        }
+
+        let repairStrip = null;
+        if (mismatches.length > 0) {
+            repairStrip = await this.db.markForRepair(stripIndex, mismatches, this.bot.username);
+            console.log(`[${this.bot.username}] Strip ${stripIndex}: ${mismatches.length} block(s) differ from the plan. Queued them as strip ${repairStrip}.`);
+        }
+        await this.db.setStripVerified(stripIndex);
+        this.db.logEvent('strip_verified', {
+            bot: this.bot.username, strip: stripIndex, count: blocks.length,
+            details: JSON.stringify({ mismatches: mismatches.length, unloaded })
+        });
+
+        return { checked: blocks.length - unloaded, mismatches, unloaded, repairStrip };
+    }
+
+    /**
+     * The block at `pos`, walking towards it first if it is out of sight. Null if it stays unloaded.
+     */
+    async _blockInView(pos) {
+        const block = this.bot.blockAt(pos);
+        if (block && this.bot.entity.position.distanceTo(pos) <= SIGHT_RANGE) return block;
+
+        try {
+            await this.bot.pathfinder.goto(new GoalNear(pos.x, pos.y, pos.z, APPROACH_RANGE));
+        } catch (err) {
+            console.error(`[${this.bot.username}] Could not walk to ${pos}: ${err.message}`);
+        }
+        return this.bot.blockAt(pos);
+    }
+}
+
+module.exports = StripVerifier;
@@ -0,0 +1,239 @@
+// Color spaces and distance functions used to match image pixels against the palette.
+
+function srgbToLinear(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// CIE L*a*b* with a D65 white point
+function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.00000;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x), fy = f(y), fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// Oklab (Björn Ottosson, 2020)
+function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+function squaredDistance(a, b) {
+    return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+// "Redmean" weighted RGB distance, a cheap approximation of perceived difference
+function weightedRgbDistance(a, b) {
+    const rMean = (a[0] + b[0]) / 2;
+    return (2 + rMean / 256) * (a[0] - b[0]) ** 2 +
+        4 * (a[1] - b[1]) ** 2 +
+        (2 + (255 - rMean) / 256) * (a[2] - b[2]) ** 2;
+}
+
+// CIEDE2000 color difference (Sharma, Wu & Dalal reference implementation)
+function ciede2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const cMean7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+
+    const hueAngle = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * rad);
+
+    const LpMean = (L1 + L2) / 2;
+    const CpMean = (C1p + C2p) / 2;
+
+    let hpMean = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hpMean /= 2;
+        else hpMean = h1p + h2p < 360 ? (hpMean + 360) / 2 : (hpMean - 360) / 2;
+    }
+
+    const T = 1 -
+        0.17 * Math.cos((hpMean - 30) * rad) +
+        0.24 * Math.cos(2 * hpMean * rad) +
+        0.32 * Math.cos((3 * hpMean + 6) * rad) -
+        0.20 * Math.cos((4 * hpMean - 63) * rad);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2));
+    const CpMean7 = Math.pow(CpMean, 7);
+    const Rc = 2 * Math.sqrt(CpMean7 / (CpMean7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(LpMean - 50, 2)) / Math.sqrt(20 + Math.pow(LpMean - 50, 2));
+    const Sc = 1 + 0.045 * CpMean;
+    const Sh = 1 + 0.015 * CpMean * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    return Math.sqrt(
+        Math.pow(dLp / Sl, 2) +
+        Math.pow(dCp / Sc, 2) +
+        Math.pow(dHp / Sh, 2) +
+        Rt * (dCp / Sc) * (dHp / Sh)
+    );
+}
+
+// Each metric converts a color into its own space once and compares converted values.
+const METRICS = {
+    rgb: { convert: (r, g, b) => [r, g, b], distance: squaredDistance },
+    weightedRgb: { convert: (r, g, b) => [r, g, b], distance: weightedRgbDistance },
+    cie76: { convert: rgbToLab, distance: squaredDistance },
+    ciede2000: { convert: rgbToLab, distance: ciede2000 },
+    oklab: { convert: rgbToOklab, distance: squaredDistance }
+};
+
+class ColorMetrics {
+    /**
+     * Precomputes the palette's coordinates in the metric's color space so that matching a
+     * pixel only has to convert the pixel itself.
+     * @param {Array<object>} entries - Palette entries with `r`, `g` and `b`.
+     * @param {string} [metricName='rgb'] - One of `ColorMetrics.NAMES`.
+     * @returns {{metric: object, entries: Array<object>, cache: Map<number, object>}} A prepared palette for `findClosest`.
+     */
+    static preparePalette(entries, metricName = 'rgb') {
+        const metric = METRICS[metricName];
+        if (!metric) {
+            throw new Error(`Unknown color metric "${metricName}".`);
+        }
+        return {
+            metric,
+            entries: entries.map(entry => ({ ...entry, coords: metric.convert(entry.r, entry.g, entry.b) })),
+            cache: new Map()
+        };
+    }
+
+    /**
+     * Finds the palette entry closest to a color. Results are cached per rounded RGB value.
+     * @param {number} r
+     * @param {number} g
+     * @param {number} b
+     * @param {object} palette - A palette from `preparePalette`.
+     * @returns {object} The closest palette entry.
+     */
+    static findClosest(r, g, b, palette) {
+        if (palette.budget) return ColorMetrics._findClosestWithinBudget(r, g, b, palette);
+
+        const key = (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+        const cached = palette.cache.get(key);
+        if (cached) {
+            if (palette.trace) palette.trace.push(cached.name);
+            return cached;
+        }
+
+        const { metric, entries } = palette;
+        const target = metric.convert(r, g, b);
+        let closestColor = entries[0];
+        let minDistance = Infinity;
+
+        for (const color of entries) {
+            const distance = metric.distance(target, color.coords);
+            if (distance < minDistance) {
+                minDistance = distance;
+                closestColor = color;
+            }
+        }
+        palette.cache.set(key, closestColor);
+        if (palette.trace) palette.trace.push(closestColor.name);
+        return closestColor;
+    }
+
+    /**
+     * Caps how many pixels `findClosest` may give each color. Once a color has used up its share it
+     * is skipped in favour of the next-best match, and error diffusion absorbs the difference.
+     * The cap is released gradually, following `demand` (the colors an unconstrained run picked, in
+     * call order), so a capped color is spread over the places that want it most instead of being
+     * used up by the first rows.
+     * @param {object} palette - A palette from `preparePalette`.
+     * @param {object} limits - Color name -> maximum number of pixels.
+     * @param {string[]} demand - The color name of each `findClosest` result of an unconstrained run.
+     */
+    static setBudget(palette, limits, demand) {
+        const budget = { calls: 0, used: new Map(), limits: new Map(), rankCache: new Map() };
+        for (const [name, limit] of Object.entries(limits)) {
+            // cumulative[k]: how often the unconstrained run picked this color in its first k + 1 calls
+            const cumulative = new Uint32Array(demand.length);
+            let count = 0;
+            for (let k = 0; k < demand.length; k++) {
+                if (demand[k] === name) count++;
+                cumulative[k] = count;
+            }
+            budget.limits.set(name, { limit, cumulative, total: count });
+            budget.used.set(name, 0);
+        }
+        palette.budget = budget;
+    }
+
+    static _findClosestWithinBudget(r, g, b, palette) {
+        const { budget } = palette;
+        const key = (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+        let ranked = budget.rankCache.get(key);
+        if (!ranked) {
+            const target = palette.metric.convert(r, g, b);
+            ranked = palette.entries
+                .map(color => ({ color, distance: palette.metric.distance(target, color.coords) }))
+                .sort((x, y) => x.distance - y.distance)
+                .map(({ color }) => color);
+            budget.rankCache.set(key, ranked);
+        }
+
+        const call = budget.calls++;
+        for (const color of ranked) {
+            const cap = budget.limits.get(color.name);
+            if (cap) {
+                const used = budget.used.get(color.name);
+                const index = Math.min(call, cap.cumulative.length - 1);
+                const allowed = cap.total > 0 ? cap.limit * cap.cumulative[index] / cap.total : cap.limit;
+                if (used >= Math.min(allowed, cap.limit)) continue;
+                budget.used.set(color.name, used + 1);
+            }
+            return color;
+        }
+        throw new Error('Every palette color is used up; the color budgets are too small for the image.');
+    }
+}
+
+ColorMetrics.NAMES = Object.keys(METRICS);
+ColorMetrics.rgbToLab = rgbToLab;
+ColorMetrics.rgbToOklab = rgbToOklab;
+ColorMetrics.ciede2000 = ciede2000;
+
+module.exports = ColorMetrics;
@@ -1,14 +1,330 @@
 const sqlite3 = require('sqlite3');
 const { open } = require('sqlite');
 const path = require('path');
+const StripScheduler = require('./StripScheduler');
 
+// Width and height of a single map, in blocks.
+const MAP_SIZE = 128;
+
+// color_name of plan pixels that are left without a block (see ImageProcessor.EMPTY_COLOR).
+const EMPTY_COLOR = 'empty';
+
+// Seconds a strip stays assigned without a heartbeat from its bot before other bots may claim it.
+const LEASE_TIMEOUT = 120;
+
+// Assigned strips with fewer blocks left than this are not split for work stealing.
+const MIN_STEAL_BLOCKS = 128;
+
+// What `logEvent` records.
+const EVENT_TYPES = [
+    'block_placed', 'block_failed',
+    'strip_claimed', 'strip_released', 'strip_completed', 'strip_reclaimed', 'strip_split',
+    'restock_started', 'restock_finished',
+    'strip_verified', 'block_mismatch', 'unit_created',
+    'strip_reopened', // Repairs before work units; old logs still have them
+    'disconnected', 'kicked'
+];
+
+// Placement updates and events are queued and written together once this many are waiting, or after the interval.
+const WRITE_BATCH_SIZE = 64;
+const WRITE_FLUSH_INTERVAL = 5000;
+
+// Tables of the single-project schema, renamed to legacy_<name> while they are converted.
+const LEGACY_TABLES = ['project', 'maps', 'blocks', 'noobline', 'strips'];
+
+async function tableExists(db, table) {
+    return !!await db.get(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+}
+
+async function columnExists(db, table, column) {
+    return (await db.all(`PRAGMA table_info(${table})`)).some(info => info.name === column);
+}
+
+// Copies every column `from` and `to` have in common. `values` gives SQL expressions for columns
+// `from` doesn't have (or that should be replaced).
+async function copyRows(db, from, to, values = {}) {
+    const target = new Set((await db.all(`PRAGMA table_info(${to})`)).map(column => column.name));
+    const shared = (await db.all(`PRAGMA table_info(${from})`))
+        .map(column => column.name)
+        .filter(name => target.has(name) && !(name in values));
+    const columns = [...Object.keys(values), ...shared];
+    const expressions = [...Object.values(values), ...shared];
+    await db.exec(`INSERT INTO ${to} (${columns.join(', ')}) SELECT ${expressions.join(', ')} FROM ${from}`);
+}
+
+/**
+ * Schema changes, in order. `PRAGMA user_version` holds the number of migrations a database has had;
+ * `migrate` applies the rest in one transaction. Never edit a migration that has been released, add
+ * a new one instead.
+ */
+const MIGRATIONS = [
+    {
+        description: 'Tables for multiple projects (converts single-project databases)',
+        async up(db) {
+            // Databases from before versioning have no user_version; older ones hold a single project
+            const legacy = await tableExists(db, 'project');
+            if (legacy) {
+                for (const table of LEGACY_TABLES) {
+                    if (await tableExists(db, table)) await db.exec(`ALTER TABLE ${table} RENAME TO legacy_${table}`);
+                }
+            }
+
+            // IF NOT EXISTS: databases created just before versioning already have these tables
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS projects (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    image_source TEXT NOT NULL,
+                    dithering_algorithm TEXT NOT NULL,
+                    serpentine INTEGER NOT NULL DEFAULT 0,
+                    diffusion_strength REAL NOT NULL DEFAULT 1,
+                    is_active INTEGER NOT NULL DEFAULT 0,
+                    is_paused INTEGER NOT NULL DEFAULT 0,
+                    is_archived INTEGER NOT NULL DEFAULT 0,
+                    origin_x INTEGER NOT NULL DEFAULT 0, -- World position of the grid anchor (mapart_offsets.start)
+                    origin_y INTEGER NOT NULL DEFAULT 0,
+                    origin_z INTEGER NOT NULL DEFAULT 0,
+                    strip_width INTEGER NOT NULL,
+                    total_strips INTEGER NOT NULL,
+                    grid_cols INTEGER NOT NULL DEFAULT 1,
+                    grid_rows INTEGER NOT NULL DEFAULT 1,
+                    mode TEXT NOT NULL DEFAULT 'flat', -- flat, staircase
+                    color_metric TEXT NOT NULL DEFAULT 'rgb',
+                    fit TEXT NOT NULL DEFAULT 'stretch',
+                    crop TEXT, -- x,y,w,h in source pixels
+                    gravity TEXT NOT NULL DEFAULT 'center',
+                    background TEXT,
+                    transparent TEXT NOT NULL DEFAULT 'empty',
+                    brightness REAL NOT NULL DEFAULT 0,
+                    contrast REAL NOT NULL DEFAULT 0,
+                    saturation REAL NOT NULL DEFAULT 1,
+                    gamma REAL NOT NULL DEFAULT 1,
+                    sharpen REAL NOT NULL DEFAULT 0,
+                    equalize INTEGER NOT NULL DEFAULT 0,
+                    color_budgets TEXT, -- JSON object, color name -> maximum blocks
+                    unavailable_colors TEXT, -- JSON array of color names
+                    support_block TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            // CLI state, e.g. the selected project.
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                );
+            `);
+        
+            // One row per map in the grid. grid_x/grid_z count in plan direction, so map (0, 0) is the
+            // one at the anchor and its origin is the anchor itself.
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS maps (
+                    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+                    map_index INTEGER NOT NULL,
+                    grid_x INTEGER NOT NULL,
+                    grid_z INTEGER NOT NULL,
+                    origin_x INTEGER NOT NULL,
+                    origin_y INTEGER NOT NULL,
+                    origin_z INTEGER NOT NULL,
+                    PRIMARY KEY (project_id, map_index)
+                );
+            `);
+
+            // x and z are plan coordinates across the whole grid; map_index says which map a block is on.
+            // Pixels left empty are stored with color_name 'empty' and item_id 'air' and never placed.
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS blocks (
+                    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+                    x INTEGER NOT NULL,
+                    z INTEGER NOT NULL,
+                    map_index INTEGER NOT NULL DEFAULT 0,
+                    color_name TEXT NOT NULL,
+                    item_id TEXT NOT NULL,
+                    y INTEGER NOT NULL DEFAULT 0, -- Height above the map's start level (staircase mode)
+                    shade INTEGER NOT NULL DEFAULT 1, -- 0 = dark, 1 = normal, 2 = light
+                    is_placed INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (project_id, x, z)
+                );
+            `);
+
+            // Support blocks just north of the map that set the shade of its first row (staircase mode).
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS noobline (
+                    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+                    x INTEGER NOT NULL,
+                    y INTEGER NOT NULL,
+                    is_placed INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (project_id, x)
+                );
+            `);
+
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS strips (
+                    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+                    strip_index INTEGER NOT NULL,
+                    map_index INTEGER NOT NULL DEFAULT 0,
+                    band INTEGER NOT NULL DEFAULT 0, -- Position of the strip within its map
+                    status TEXT NOT NULL DEFAULT 'pending', -- pending, assigned, completed
+                    assigned_to TEXT,
+                    assigned_at DATETIME,
+                    PRIMARY KEY (project_id, strip_index)
+                );
+            `);
+
+            if (legacy) {
+                const project = await db.get('SELECT * FROM legacy_project');
+                if (project) {
+                    const name = path.parse(String(project.image_source).split('?')[0]).name;
+                    // The site is where map 0 starts
+                    const hasMaps = await tableExists(db, 'legacy_maps');
+                    const origin = axis => (hasMaps ? `COALESCE((SELECT ${axis} FROM legacy_maps WHERE map_index = 0), 0)` : '0');
+                    await copyRows(db, 'legacy_project', 'projects', {
+                        name: `'project-${project.id}'`,
+                        origin_x: origin('origin_x'),
+                        origin_y: origin('origin_y'),
+                        origin_z: origin('origin_z')
+                    });
+                    if (name && !/^\d+$/.test(name)) {
+                        await db.run('UPDATE projects SET name = ? WHERE id = ?', [name, project.id]);
+                    }
+                    for (const table of LEGACY_TABLES.slice(1)) {
+                        if (!await tableExists(db, `legacy_${table}`)) continue;
+                        const values = { project_id: String(project.id) };
+                        // Before grids of maps, strips were the bands of the one map, numbered from its start
+                        if (table === 'strips' && !await columnExists(db, 'legacy_strips', 'band')) values.band = 'strip_index';
+                        await copyRows(db, `legacy_${table}`, table, values);
+                    }
+                    if (!hasMaps) {
+                        await db.run(
+                            `INSERT INTO maps (project_id, map_index, grid_x, grid_z, origin_x, origin_y, origin_z)
+                             SELECT id, 0, 0, 0, origin_x, origin_y, origin_z FROM projects WHERE id = ?`,
+                            [project.id]
+                        );
+                    }
+                    await db.run(`INSERT INTO settings (key, value) VALUES ('selected_project', ?)`, [String(project.id)]);
+                }
+                for (const table of LEGACY_TABLES) {
+                    await db.exec(`DROP TABLE IF EXISTS legacy_${table}`);
+                }
+            }
+        }
+    },
+    {
+        description: 'Heartbeats for strip leases',
+        async up(db) {
+            await db.exec('ALTER TABLE strips ADD COLUMN heartbeat_at DATETIME');
+        }
+    },
+    {
+        description: 'Event log',
+        async up(db) {
+            // Append-only: no foreign key, so the history outlives deleted projects
+            await db.exec(`
+                CREATE TABLE events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER,
+                    created_at TEXT NOT NULL, -- UTC, with milliseconds
+                    bot TEXT,
+                    type TEXT NOT NULL,
+                    strip_index INTEGER,
+                    x INTEGER,
+                    z INTEGER,
+                    item_id TEXT,
+                    count INTEGER,
+                    details TEXT
+                );
+            `);
+            await db.exec('CREATE INDEX events_by_project ON events (project_id, type, created_at)');
+            await db.exec('CREATE INDEX events_by_position ON events (project_id, x, z)');
+        }
+    },
+    {
+        description: 'Verification time of strips',
+        async up(db) {
+            await db.exec('ALTER TABLE strips ADD COLUMN verified_at DATETIME');
+        }
+    },
+    {
+        // Strips used to span their whole map; work stealing splits them along x.
+        description: 'Block range of strips along x',
+        async up(db) {
+            await db.exec('ALTER TABLE strips ADD COLUMN x_start INTEGER NOT NULL DEFAULT 0');
+            await db.exec('ALTER TABLE strips ADD COLUMN x_end INTEGER NOT NULL DEFAULT 0');
+            // A strip without its map row spans the first map
+            await db.run(
+                `UPDATE strips SET
+                    x_start = COALESCE((SELECT m.grid_x * $mapSize FROM maps m WHERE m.project_id = strips.project_id AND m.map_index = strips.map_index), 0),
+                    x_end = COALESCE((SELECT (m.grid_x + 1) * $mapSize FROM maps m WHERE m.project_id = strips.project_id AND m.map_index = strips.map_index), $mapSize)`,
+                { $mapSize: MAP_SIZE }
+            );
+        }
+    },
+    {
+        // Strips become work units: bands made at project start, or rectangles and block lists added later
+        description: 'Rectangular and block list work units',
+        async up(db) {
+            await db.exec(`ALTER TABLE strips ADD COLUMN kind TEXT NOT NULL DEFAULT 'band'`); // band, region, blocks
+            await db.exec('ALTER TABLE strips ADD COLUMN z_start INTEGER NOT NULL DEFAULT 0');
+            await db.exec('ALTER TABLE strips ADD COLUMN z_end INTEGER NOT NULL DEFAULT 0');
+            // Like the x range, a strip without its map row is a band of the first map
+            await db.run(
+                `UPDATE strips SET
+                    z_start = COALESCE(
+                        (SELECT m.grid_z * $mapSize + strips.band * p.strip_width FROM maps m JOIN projects p ON p.id = m.project_id
+                         WHERE m.project_id = strips.project_id AND m.map_index = strips.map_index),
+                        (SELECT strips.band * p.strip_width FROM projects p WHERE p.id = strips.project_id),
+                        0),
+                    z_end = COALESCE(
+                        (SELECT MIN(m.grid_z * $mapSize + (strips.band + 1) * p.strip_width, (m.grid_z + 1) * $mapSize)
+                         FROM maps m JOIN projects p ON p.id = m.project_id
+                         WHERE m.project_id = strips.project_id AND m.map_index = strips.map_index),
+                        (SELECT MIN((strips.band + 1) * p.strip_width, $mapSize) FROM projects p WHERE p.id = strips.project_id),
+                        $mapSize)`,
+                { $mapSize: MAP_SIZE }
+            );
+            // The positions of `blocks` units, within their rectangle. z one past the grid is the noobline.
+            await db.exec(`
+                CREATE TABLE strip_blocks (
+                    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+                    strip_index INTEGER NOT NULL,
+                    x INTEGER NOT NULL,
+                    z INTEGER NOT NULL,
+                    PRIMARY KEY (project_id, strip_index, x, z)
+                );
+            `);
+        }
+    }
+];
+
+// Schema version this code works with.
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Several map art projects can share one database, each on its own site. Every table but
+ * `projects` is keyed by `project_id`, and the methods below work on the project picked with
+ * `useProject` (the selected one, unless a bot or command asks for another).
+ */
 class DatabaseManager {
     constructor(dbPath = path.join(process.cwd(), 'mapart.sqlite')) {
         this.dbPath = dbPath;
         this.db = null;
+        this.projectId = null;
+
+        this._transactions = Promise.resolve(); // Tail of the transactions queued on this connection
+        this._flushing = null; // The transaction of the flush in progress
+        this._pendingWrites = [];
+        this._flushTimer = null;
     }
 
-    async init() {
+    /**
+     * Opens the database and brings its schema up to date.
+     * @param {object} [options]
+     * @param {boolean} [options.migrate=true] - Apply pending migrations. Without it, the schema is
+     *   left as it is (for `db migrate --dry-run`).
+     */
+    async init(options = {}) {
+        const { migrate = true } = options;
         if (this.db) return;
         
         this.db = await open({
@@ -18,190 +334,982 @@ class DatabaseManager {
 
         await this.db.exec('PRAGMA journal_mode = WAL;'); // For better concurrency
         await this.db.exec('PRAGMA foreign_keys = ON;');
-        
-        // --- Create Tables ---
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS project (
-                id INTEGER PRIMARY KEY CHECK (id = 1),
-                image_source TEXT NOT NULL,
-                dithering_algorithm TEXT NOT NULL,
-                is_active INTEGER NOT NULL DEFAULT 0,
-                is_paused INTEGER NOT NULL DEFAULT 0,
-                strip_width INTEGER NOT NULL,
-                total_strips INTEGER NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS blocks (
-                x INTEGER NOT NULL,
-                z INTEGER NOT NULL,
-                color_name TEXT NOT NULL,
-                item_id TEXT NOT NULL,
-                is_placed INTEGER NOT NULL DEFAULT 0,
-                PRIMARY KEY (x, z)
-            );
-        `);
-
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS strips (
-                strip_index INTEGER PRIMARY KEY,
-                status TEXT NOT NULL DEFAULT 'pending', -- pending, assigned, completed
-                assigned_to TEXT,
-                assigned_at DATETIME
-            );
-        `);
+        await this.db.exec('PRAGMA busy_timeout = 10000;'); // Workers wait for each other's migrations and writes
+
+        if (migrate) {
+            await this.migrate();
+        }
     }
 
-    async clearProject() {
-        await this.db.exec('DELETE FROM strips;');
-        await this.db.exec('DELETE FROM blocks;');
-        await this.db.exec('DELETE FROM project;');
+    async getSchemaVersion() {
+        const { user_version } = await this.db.get('PRAGMA user_version');
+        return user_version;
     }
-    
-    async startNewMapArt(imageSource, dithering, imageData, stripWidth) {
-        await this.clearProject();
 
-        const totalStrips = Math.ceil(128 / stripWidth);
+    /**
+     * Applies the migrations the database hasn't had yet, all in one transaction.
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Only list the pending migrations.
+     * @returns {Promise<{from: number, to: number, pending: Array<{version: number, description: string}>}>}
+     * @throws If the database was written by a newer version of the code.
+     */
+    async migrate(options = {}) {
+        const { dryRun = false } = options;
+        const pendingFrom = version => MIGRATIONS
+            .map((migration, i) => ({ version: i + 1, description: migration.description }))
+            .slice(version);
+        const checkVersion = version => {
+            if (version > SCHEMA_VERSION) {
+                throw new Error(
+                    `${this.dbPath} has schema version ${version}, but this code only knows up to version ${SCHEMA_VERSION}. ` +
+                    'Update MapArt-Bot before using this database.'
+                );
+            }
+        };
+
+        let version = await this.getSchemaVersion();
+        checkVersion(version);
+        if (dryRun || version === SCHEMA_VERSION) {
+            return { from: version, to: SCHEMA_VERSION, pending: pendingFrom(version) };
+        }
 
-        await this.db.run(
-            `INSERT INTO project (id, image_source, dithering_algorithm, is_active, is_paused, strip_width, total_strips)
-             VALUES (1, ?, ?, 1, 0, ?, ?)`,
-            [imageSource, dithering, stripWidth, totalStrips]
-        );
+        // The transaction takes the write lock first, then checks again: another worker may have just migrated
+        return this.transaction(async () => {
+            version = await this.getSchemaVersion();
+            checkVersion(version);
+            const pending = pendingFrom(version);
+            for (const { version: target, description } of pending) {
+                console.log(`[DB] Migrating to schema version ${target}: ${description}`);
+                await MIGRATIONS[target - 1].up(this.db);
+            }
+            await this.db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+            return { from: version, to: SCHEMA_VERSION, pending };
+        });
+    }
 
-        const blockInsertStmt = await this.db.prepare(
-            'INSERT INTO blocks (x, z, color_name, item_id, is_placed) VALUES (?, ?, ?, ?, 0)'
-        );
-        for (let z = 0; z < 128; z++) {
-            for (let x = 0; x < 128; x++) {
-                const block = imageData[z][x];
-                await blockInsertStmt.run(x, z, block.name, block.id);
+    /**
+     * Runs `fn` in a transaction that holds the write lock from the start, and rolls it back if
+     * `fn` throws. Transactions on one connection can't nest, so they are queued. Every write
+     * goes through here (single statements through `_run`): a bare statement would otherwise
+     * become part of whichever transaction happens to be open.
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async transaction(fn) {
+        const run = async () => {
+            await this.db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await fn();
+                await this.db.exec('COMMIT');
+                return result;
+            } catch (err) {
+                await this.db.exec('ROLLBACK');
+                throw err;
+            }
+        };
+        const result = this._transactions.then(run, run);
+        this._transactions = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Runs a single write in a transaction of its own, so it waits for (rather than joins) a
+     * transaction that is open on this connection. Not for use inside `transaction`.
+     * @returns {Promise<import('sqlite').ISqlite.RunResult>}
+     */
+    async _run(sql, params) {
+        return this.transaction(() => this.db.run(sql, params));
+    }
+
+    /**
+     * Writes the queued placement updates and events in one transaction. Resolves once everything
+     * queued before the call is committed, including writes an earlier flush is still busy with.
+     */
+    async flush() {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+        while (this._flushing) {
+            await this._flushing.catch(() => {});
+        }
+        if (this._pendingWrites.length === 0) return;
+
+        const writes = this._pendingWrites;
+        this._pendingWrites = [];
+        const flushing = this.transaction(async () => {
+            for (const [sql, params] of writes) {
+                await this.db.run(sql, params);
             }
+        });
+        this._flushing = flushing;
+        try {
+            await flushing;
+        } catch (err) {
+            // Keep them for the next flush
+            this._pendingWrites = writes.concat(this._pendingWrites);
+            console.error(`[DB] Failed to write ${writes.length} queued update(s):`, err.message);
+            throw err;
+        } finally {
+            if (this._flushing === flushing) this._flushing = null;
+        }
+    }
+
+    /**
+     * Writes what is still queued and closes the database.
+     */
+    async close() {
+        if (!this.db) return;
+        await this.flush();
+        await this._transactions;
+        await this.db.close();
+        this.db = null;
+    }
+
+    _queueWrite(sql, params) {
+        this._pendingWrites.push([sql, params]);
+        if (this._pendingWrites.length >= WRITE_BATCH_SIZE) {
+            this.flush().catch(() => {});
+        } else if (!this._flushTimer) {
+            this._flushTimer = setTimeout(() => this.flush().catch(() => {}), WRITE_FLUSH_INTERVAL);
+        }
+    }
+
+    // --- Projects ---
+
+    /**
+     * Finds a project by ID or name.
+     * @param {number|string} project
+     */
+    async findProject(project) {
+        if (/^\d+$/.test(String(project))) {
+            const byId = await this.db.get('SELECT * FROM projects WHERE id = ?', [Number(project)]);
+            if (byId) return byId;
+        }
+        return this.db.get('SELECT * FROM projects WHERE name = ?', [String(project)]);
+    }
+
+    /**
+     * Makes the following calls work on a project.
+     * @param {number|string} [project] - ID or name; the selected project if omitted.
+     * @returns {Promise<object|undefined>} The project, or undefined if there is no such project.
+     */
+    async useProject(project) {
+        const found = project === undefined || project === null
+            ? await this.getSelectedProject()
+            : await this.findProject(project);
+        this.projectId = found ? found.id : null;
+        return found;
+    }
+
+    async getSelectedProject() {
+        const setting = await this.db.get(`SELECT value FROM settings WHERE key = 'selected_project'`);
+        if (!setting) return undefined;
+        return this.db.get('SELECT * FROM projects WHERE id = ?', [Number(setting.value)]);
+    }
+
+    async selectProject(projectId) {
+        await this._run(
+            `INSERT INTO settings (key, value) VALUES ('selected_project', ?)
+             ON CONFLICT (key) DO UPDATE SET value = excluded.value`,
+            [String(projectId)]
+        );
+    }
+
+    /**
+     * Every project with its block progress, oldest first.
+     */
+    async listProjects() {
+        return this.db.all(`
+            SELECT p.*,
+                   (SELECT COUNT(*) FROM blocks b WHERE b.project_id = p.id AND b.color_name != $empty) as total_blocks,
+                   (SELECT COUNT(*) FROM blocks b WHERE b.project_id = p.id AND b.is_placed = 1) as placed_blocks
+            FROM projects p
+            ORDER BY p.id
+        `, { $empty: EMPTY_COLOR });
+    }
+
+    /**
+     * Archives a finished or abandoned project: it is kept for reference, but bots no longer work on it.
+     */
+    async archiveProject(projectId) {
+        await this._run('UPDATE projects SET is_archived = 1, is_active = 0 WHERE id = ?', [projectId]);
+    }
+
+    /**
+     * Deletes a project with all of its maps, blocks and strips.
+     */
+    async deleteProject(projectId) {
+        await this.transaction(async () => {
+            await this.db.run('DELETE FROM projects WHERE id = ?', [projectId]);
+            await this.db.run(`DELETE FROM settings WHERE key = 'selected_project' AND value = ?`, [String(projectId)]);
+        });
+        if (this.projectId === projectId) this.projectId = null;
+    }
+
+    async clearProject() {
+        if (this.projectId !== null) {
+            await this.deleteProject(this.projectId);
+        }
+    }
+    
+    /**
+     * @param {string} imageSource
+     * @param {string} dithering
+     * @param {Array<Array<object>>} imageData - The plan from `ImageProcessor.processImage`; its size
+     *   (a multiple of 128 in both directions) sets the grid of maps.
+     * @param {number} stripWidth
+     * @param {object} [options]
+     * @param {number[]} [options.origin=[0, 0, 0]] - World position of the grid anchor (`mapart_offsets.start`).
+     * @param {'flat'|'staircase'} [options.mode='flat']
+     * @param {string} [options.metric='rgb'] - Color metric the image was quantized with.
+     * @param {boolean} [options.serpentine=false] - Whether error diffusion used serpentine scanning.
+     * @param {number} [options.diffusionStrength=1] - Error diffusion strength the image was dithered with.
+     * @param {string} [options.supportBlock] - Block used for raised columns and the noobline (staircase mode).
+     * @param {number[]} [options.noobline] - Noobline height per x column (staircase mode).
+     * @param {string} [options.fit='stretch'] - The remaining options record how the image was fitted and
+     *   adjusted, so it can be processed again identically (see `ImageProcessor.processImage`).
+     * @param {{x: number, y: number, w: number, h: number}} [options.crop]
+     * @param {string} [options.gravity='center']
+     * @param {string} [options.background]
+     * @param {string} [options.transparent='empty']
+     * @param {object} [options.adjustments]
+     * @param {object} [options.budgets] - Color name -> maximum blocks the plan was limited to.
+     * @param {string[]} [options.unavailable] - Colors the plan was made without.
+     * @param {string} options.name - Unique project name.
+     * @returns {Promise<number>} The new project's ID. It becomes the selected project and the one
+     *   this manager works on.
+     */
+    async startNewMapArt(imageSource, dithering, imageData, stripWidth, options = {}) {
+        const {
+            name, mode = 'flat', metric = 'rgb', serpentine = false, diffusionStrength = 1,
+            supportBlock = null, noobline = null, origin = [0, 0, 0],
+            fit = 'stretch', crop = null, gravity = 'center', background = null, transparent = 'empty',
+            budgets = {}, unavailable = []
+        } = options;
+        const adjustments = {
+            brightness: 0, contrast: 0, saturation: 1, gamma: 1, sharpen: 0, equalize: false,
+            ...options.adjustments
+        };
+
+        const gridCols = imageData[0].length / MAP_SIZE;
+        const gridRows = imageData.length / MAP_SIZE;
+        if (!Number.isInteger(gridCols) || !Number.isInteger(gridRows)) {
+            throw new Error(`Plan of ${imageData[0].length}x${imageData.length} blocks is not a whole number of maps.`);
         }
-        await blockInsertStmt.finalize();
 
-        const stripInsertStmt = await this.db.prepare('INSERT INTO strips (strip_index) VALUES (?)');
-        for (let i = 0; i < totalStrips; i++) {
-            await stripInsertStmt.run(i);
+        if (!name || /^\d+$/.test(name)) {
+            throw new Error('Projects need a name that is not a plain number.');
         }
-        await stripInsertStmt.finalize();
+        const stripsPerMap = Math.ceil(MAP_SIZE / stripWidth);
+        const totalStrips = stripsPerMap * gridCols * gridRows;
+
+        // All in one transaction: much faster than a commit per row, and no half-created projects
+        this.projectId = await this.transaction(async () => {
+            if (await this.findProject(name)) {
+                throw new Error(`A project named "${name}" already exists.`);
+            }
+            const { lastID: projectId } = await this.db.run(
+                `INSERT INTO projects (name, image_source, dithering_algorithm, serpentine, diffusion_strength, is_active, is_paused,
+                                       origin_x, origin_y, origin_z,
+                                       strip_width, total_strips, grid_cols, grid_rows, mode, color_metric, support_block,
+                                       fit, crop, gravity, background, transparent,
+                                       brightness, contrast, saturation, gamma, sharpen, equalize, color_budgets, unavailable_colors)
+                 VALUES (?, ?, ?, ?, ?, 1, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    name, imageSource, dithering, serpentine ? 1 : 0, diffusionStrength, ...origin, stripWidth, totalStrips, gridCols, gridRows, mode, metric, supportBlock,
+                    fit, crop ? `${crop.x},${crop.y},${crop.w},${crop.h}` : null, gravity, background, transparent,
+                    adjustments.brightness, adjustments.contrast, adjustments.saturation, adjustments.gamma, adjustments.sharpen, adjustments.equalize ? 1 : 0,
+                    Object.keys(budgets).length ? JSON.stringify(budgets) : null, unavailable.length ? JSON.stringify(unavailable) : null
+                ]
+            );
+
+            const mapInsertStmt = await this.db.prepare(
+                'INSERT INTO maps (project_id, map_index, grid_x, grid_z, origin_x, origin_y, origin_z) VALUES (?, ?, ?, ?, ?, ?, ?)'
+            );
+            for (let gridZ = 0; gridZ < gridRows; gridZ++) {
+                for (let gridX = 0; gridX < gridCols; gridX++) {
+                    const [x, y, z] = origin;
+                    await mapInsertStmt.run(projectId, gridZ * gridCols + gridX, gridX, gridZ, x - gridX * MAP_SIZE, y, z - gridZ * MAP_SIZE);
+                }
+            }
+            await mapInsertStmt.finalize();
+
+            const blockInsertStmt = await this.db.prepare(
+                'INSERT INTO blocks (project_id, x, z, map_index, color_name, item_id, y, shade, is_placed) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)'
+            );
+            for (let z = 0; z < imageData.length; z++) {
+                for (let x = 0; x < imageData[z].length; x++) {
+                    const block = imageData[z][x];
+                    const mapIndex = Math.floor(z / MAP_SIZE) * gridCols + Math.floor(x / MAP_SIZE);
+                    await blockInsertStmt.run(projectId, x, z, mapIndex, block.name, block.id, block.y || 0, block.shade ?? 1);
+                }
+            }
+            await blockInsertStmt.finalize();
+
+            if (noobline) {
+                const nooblineInsertStmt = await this.db.prepare('INSERT INTO noobline (project_id, x, y, is_placed) VALUES (?, ?, ?, 0)');
+                for (let x = 0; x < noobline.length; x++) {
+                    await nooblineInsertStmt.run(projectId, x, noobline[x]);
+                }
+                await nooblineInsertStmt.finalize();
+            }
+
+            // Strips are numbered map by map, so consecutive strip indices stay on the same map.
+            const stripInsertStmt = await this.db.prepare(
+                `INSERT INTO strips (project_id, strip_index, map_index, band, kind, x_start, x_end, z_start, z_end)
+                 VALUES (?, ?, ?, ?, 'band', ?, ?, ?, ?)`
+            );
+            for (let i = 0; i < totalStrips; i++) {
+                const mapIndex = Math.floor(i / stripsPerMap);
+                const band = i % stripsPerMap;
+                const startX = (mapIndex % gridCols) * MAP_SIZE;
+                const mapStartZ = Math.floor(mapIndex / gridCols) * MAP_SIZE;
+                const startZ = mapStartZ + band * stripWidth;
+                const endZ = Math.min(startZ + stripWidth, mapStartZ + MAP_SIZE);
+                await stripInsertStmt.run(projectId, i, mapIndex, band, startX, startX + MAP_SIZE, startZ, endZ);
+            }
+            await stripInsertStmt.finalize();
+            return projectId;
+        });
+        await this.selectProject(this.projectId);
+        return this.projectId;
     }
 
     async getProjectState() {
-        return this.db.get('SELECT * FROM project WHERE id = 1');
+        if (this.projectId === null) return undefined;
+        return this.db.get('SELECT * FROM projects WHERE id = ?', [this.projectId]);
     }
     
     async setPaused(isPaused) {
-        await this.db.run('UPDATE project SET is_paused = ? WHERE id = 1', [isPaused ? 1 : 0]);
+        await this._run('UPDATE projects SET is_paused = ? WHERE id = ?', [isPaused ? 1 : 0, this.projectId]);
     }
 
-    async claimStrip(botUsername, botIndex, totalBots) {
+    /**
+     * Claims a pending strip for a bot. Which one is up to the scheduling policy (see `StripScheduler`),
+     * but regions and block lists added after the start (repairs, `assign-region`) go before the bands.
+     * @param {string} botUsername
+     * @param {number} botIndex - The bot's index among the bots on the project.
+     * @param {number} totalBots
+     * @param {object} [options]
+     * @param {string} [options.policy='zones'] - One of `StripScheduler.NAMES`.
+     * @param {{x: number, z: number}} [options.position] - The bot's world position, for `nearest`.
+     * @param {Array<{x: number, z: number}>} [options.chests] - World positions of the storage chests, for `nearestChests`.
+     * @param {boolean} [options.steal=false] - With no strip pending, split the assigned strip with the most
+     *   blocks left and claim its far half.
+     * @returns {Promise<number|null>} The claimed strip, or null.
+     */
+    async claimStrip(botUsername, botIndex, totalBots, options = {}) {
+        const { policy = StripScheduler.DEFAULT, position, chests, steal = false } = options;
         const project = await this.getProjectState();
         if (!project) return null;
-    
-        const { total_strips } = project;
-        const stripsPerBot = Math.ceil(total_strips / totalBots);
-        const startStrip = botIndex * stripsPerBot;
-        const endStrip = Math.min(startStrip + stripsPerBot, total_strips);
-    
-        // --- Find a candidate strip ---
-        // 1. Look in this bot's designated "home" zone first.
-        let candidate = await this.db.get(
-            `SELECT strip_index FROM strips 
-             WHERE status = 'pending' AND strip_index >= ? AND strip_index < ?
-             ORDER BY strip_index ASC 
-             LIMIT 1`,
-            [startStrip, endStrip]
+
+        await this.reclaimExpiredLeases();
+
+        const pending = await this.db.all(
+            `SELECT strip_index, kind, x_start, x_end, z_start, z_end FROM strips
+             WHERE project_id = ? AND status = 'pending'
+             ORDER BY strip_index`,
+            [this.projectId]
         );
-    
-        // 2. If its zone is done, look for any other available strip to help out.
-        if (!candidate) {
-            candidate = await this.db.get(
-                `SELECT strip_index FROM strips 
-                 WHERE status = 'pending'
-                 ORDER BY strip_index ASC 
-                 LIMIT 1`
-            );
-        }
-        
-        if (!candidate) {
-            return null; // No pending strips are available anywhere on the map.
+        // Plan coordinates grow towards -x / -z in the world
+        const candidates = pending.map(strip => ({
+            ...strip,
+            center: { x: project.origin_x - (strip.x_start + strip.x_end) / 2, z: project.origin_z - (strip.z_start + strip.z_end) / 2 }
+        }));
+        const added = candidates.filter(strip => strip.kind !== 'band');
+        // Not `total_strips`, which grows with every unit added later and would move the zones
+        const totalBands = project.grid_cols * project.grid_rows * Math.ceil(MAP_SIZE / project.strip_width);
+
+        const candidate = StripScheduler.pick(policy, added.length > 0 ? added : candidates, {
+            botIndex, totalBots, totalBands, position, chests
+        });
+        if (candidate) return this._tryClaim(candidate.strip_index, botUsername);
+
+        if (steal) {
+            const stolen = await this.splitStrip(botUsername);
+            if (stolen !== null) return this._tryClaim(stolen, botUsername);
         }
-    
-        const { strip_index } = candidate;
-    
+        return null; // No pending strips are available anywhere on the map.
+    }
+
+    async _tryClaim(stripIndex, botUsername) {
         // --- Atomically claim the candidate strip ---
         // This UPDATE will only succeed if the strip is still 'pending'.
         // If another bot claimed it between our SELECT and this UPDATE, `changes` will be 0.
-        const result = await this.db.run(
-            `UPDATE strips SET status = 'assigned', assigned_to = ?, assigned_at = CURRENT_TIMESTAMP 
-             WHERE strip_index = ? AND status = 'pending'`,
-            [botUsername, strip_index]
+        const result = await this._run(
+            `UPDATE strips SET status = 'assigned', assigned_to = ?, assigned_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+             WHERE project_id = ? AND strip_index = ? AND status = 'pending'`,
+            [botUsername, this.projectId, stripIndex]
         );
     
         if (result.changes > 0) {
             // Success! We claimed the strip.
-            console.log(`[DB] Bot ${botUsername} claimed strip ${strip_index}.`);
-            return strip_index;
+            console.log(`[DB] Bot ${botUsername} claimed strip ${stripIndex}.`);
+            this.logEvent('strip_claimed', { bot: botUsername, strip: stripIndex });
+            return stripIndex;
         } else {
             // The strip was claimed by another process (a race condition). This is expected.
             // The bot will simply try again on its next cycle.
-            console.warn(`[DB] Bot ${botUsername} failed to claim strip ${strip_index} (race condition).`);
+            console.warn(`[DB] Bot ${botUsername} failed to claim strip ${stripIndex} (race condition).`);
             return null;
         }
     }
 
-    async releaseStrip(stripIndex) {
-        await this.db.run(`UPDATE strips SET status = 'pending', assigned_to = NULL, assigned_at = NULL WHERE strip_index = ?`, [stripIndex]);
+    /**
+     * Work stealing: cuts the assigned band or region (of another bot) with the most blocks left in two along x.
+     * Its bot keeps the half it is working towards from (bots build in increasing x) and the other
+     * half becomes a new pending strip. Each half gets about as many of the remaining blocks.
+     * @param {string} botUsername - The bot that wants to take over the new strip.
+     * @returns {Promise<number|null>} The new strip's index, or null if no strip has `MIN_STEAL_BLOCKS` left.
+     */
+    async splitStrip(botUsername) {
+        await this.flush();
+        const project = await this.getProjectState();
+        if (!project) return null;
+
+        const newStrip = await this.transaction(async () => {
+            const largest = await this.db.get(
+                `SELECT s.*, COUNT(b.x) AS remaining
+                 FROM strips s
+                 JOIN blocks b ON b.project_id = s.project_id AND b.x >= s.x_start AND b.x < s.x_end AND b.z >= s.z_start AND b.z < s.z_end
+                    AND b.is_placed = 0 AND b.color_name != ?
+                 WHERE s.project_id = ? AND s.status = 'assigned' AND s.assigned_to != ? AND s.kind != 'blocks'
+                 GROUP BY s.strip_index
+                 ORDER BY remaining DESC
+                 LIMIT 1`,
+                [EMPTY_COLOR, this.projectId, botUsername]
+            );
+            if (!largest || largest.remaining < MIN_STEAL_BLOCKS) return null;
+
+            const columns = await this.db.all(
+                `SELECT x FROM blocks
+                 WHERE project_id = ? AND x >= ? AND x < ? AND z >= ? AND z < ? AND is_placed = 0 AND color_name != ?
+                 ORDER BY x`,
+                [this.projectId, largest.x_start, largest.x_end, largest.z_start, largest.z_end, EMPTY_COLOR]
+            );
+            const splitX = columns[Math.floor(columns.length / 2)].x;
+            if (splitX <= columns[0].x) return null; // Everything left is in one column
+
+            await this.db.run(
+                'UPDATE strips SET x_end = ? WHERE project_id = ? AND strip_index = ?',
+                [splitX, this.projectId, largest.strip_index]
+            );
+            const newIndex = await this._insertWorkUnit({
+                kind: largest.kind, mapIndex: largest.map_index, band: largest.band,
+                xStart: splitX, xEnd: largest.x_end, zStart: largest.z_start, zEnd: largest.z_end
+            });
+            return { ...largest, newIndex, splitX };
+        });
+        if (!newStrip) return null;
+
+        console.log(`[DB] Bot ${botUsername} split strip ${newStrip.strip_index} of ${newStrip.assigned_to} at x ${newStrip.splitX}; ` +
+            `the rest is strip ${newStrip.newIndex}.`);
+        this.logEvent('strip_split', {
+            bot: botUsername, strip: newStrip.strip_index, x: newStrip.splitX, count: newStrip.remaining,
+            details: `strip ${newStrip.newIndex} (was ${newStrip.assigned_to}'s)`
+        });
+        return newStrip.newIndex;
+    }
+
+    /**
+     * @returns {Promise<object|undefined>} A strip row, including its `kind` and block rectangle
+     *   (`x_start` to `x_end`, `z_start` to `z_end`, end exclusive).
+     */
+    async getStrip(stripIndex) {
+        return this.db.get('SELECT * FROM strips WHERE project_id = ? AND strip_index = ?', [this.projectId, stripIndex]);
+    }
+
+    /**
+     * Adds a pending work unit. Bots claim it like any strip, before the remaining bands.
+     * @param {object} unit - Either a rectangle `{ xStart, xEnd, zStart, zEnd }` in plan coordinates
+     *   (end exclusive; a rectangle that reaches the north edge includes the noobline), or a list of
+     *   positions `{ blocks: [{ x, z }, ...] }`, where z = rows * 128 is the noobline.
+     * @param {string} [botUsername] - Who added it, for the event log.
+     * @returns {Promise<number>} The new strip index.
+     */
+    async addWorkUnit(unit, botUsername = null) {
+        const project = await this.getProjectState();
+        if (!project) throw new Error('No project selected.');
+
+        const normalized = this._normalizeWorkUnit(unit, project);
+        const stripIndex = await this.transaction(() => this._insertWorkUnit(normalized));
+        this.logEvent('unit_created', { bot: botUsername, strip: stripIndex, details: this._describeWorkUnit(normalized) });
+        return stripIndex;
+    }
+
+    /**
+     * Marks every block in a rectangle (and the noobline, if the rectangle reaches the north edge) as
+     * not placed, so the bot that builds it checks each one again.
+     * @param {{xStart: number, xEnd: number, zStart: number, zEnd: number}} region - End exclusive.
+     */
+    async resetRegion(region) {
+        await this.flush(); // Queued placements must not overwrite the reset
+        const project = await this.getProjectState();
+        const { xStart, xEnd, zStart, zEnd } = this._normalizeWorkUnit(region, project);
+        await this.transaction(async () => {
+            await this.db.run(
+                'UPDATE blocks SET is_placed = 0 WHERE project_id = ? AND x >= ? AND x < ? AND z >= ? AND z < ?',
+                [this.projectId, xStart, xEnd, zStart, zEnd]
+            );
+            if (zEnd >= project.grid_rows * MAP_SIZE) {
+                await this.db.run('UPDATE noobline SET is_placed = 0 WHERE project_id = ? AND x >= ? AND x < ?', [this.projectId, xStart, xEnd]);
+            }
+        });
+    }
+
+    /**
+     * Clamps a rectangle to the grid, or turns a block list into a `blocks` unit with its bounding box.
+     */
+    _normalizeWorkUnit(unit, project) {
+        const width = project.grid_cols * MAP_SIZE;
+        const height = project.grid_rows * MAP_SIZE;
+        const mapIndexAt = (x, z) => Math.floor(Math.min(z, height - 1) / MAP_SIZE) * project.grid_cols + Math.floor(x / MAP_SIZE);
+
+        if (unit.blocks) {
+            const blocks = unit.blocks.filter(({ x, z }) => x >= 0 && x < width && z >= 0 && z <= height);
+            if (blocks.length === 0) throw new Error('None of the blocks are on the grid.');
+            const xs = blocks.map(block => block.x);
+            const zs = blocks.map(block => block.z);
+            const xStart = Math.min(...xs);
+            const zStart = Math.min(...zs);
+            return {
+                kind: 'blocks', mapIndex: mapIndexAt(xStart, zStart), blocks,
+                xStart, xEnd: Math.max(...xs) + 1, zStart, zEnd: Math.max(...zs) + 1
+            };
+        }
+
+        const xStart = Math.max(0, unit.xStart);
+        const xEnd = Math.min(width, unit.xEnd);
+        const zStart = Math.max(0, unit.zStart);
+        const zEnd = Math.min(height, unit.zEnd);
+        if (xStart >= xEnd || zStart >= zEnd) throw new Error('The region is not on the grid.');
+        return { kind: 'region', mapIndex: mapIndexAt(xStart, zStart), xStart, xEnd, zStart, zEnd };
+    }
+
+    _describeWorkUnit(unit) {
+        return unit.blocks
+            ? `${unit.blocks.length} block(s)`
+            : `x ${unit.xStart}..${unit.xEnd - 1}, z ${unit.zStart}..${unit.zEnd - 1}`;
+    }
+
+    /**
+     * Inserts a work unit row (and its block list). Must run inside a transaction.
+     * @returns {Promise<number>} The new strip index.
+     */
+    async _insertWorkUnit({ kind, mapIndex = 0, band = 0, xStart, xEnd, zStart, zEnd, blocks = null }) {
+        const { next: stripIndex } = await this.db.get(
+            'SELECT COALESCE(MAX(strip_index), -1) + 1 AS next FROM strips WHERE project_id = ?', [this.projectId]
+        );
+        await this.db.run(
+            `INSERT INTO strips (project_id, strip_index, map_index, band, kind, x_start, x_end, z_start, z_end)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [this.projectId, stripIndex, mapIndex, band, kind, xStart, xEnd, zStart, zEnd]
+        );
+        if (blocks) {
+            const insertStmt = await this.db.prepare('INSERT OR IGNORE INTO strip_blocks (project_id, strip_index, x, z) VALUES (?, ?, ?, ?)');
+            for (const { x, z } of blocks) {
+                await insertStmt.run(this.projectId, stripIndex, x, z);
+            }
+            await insertStmt.finalize();
+        }
+        await this.db.run('UPDATE projects SET total_strips = total_strips + 1 WHERE id = ?', [this.projectId]);
+        return stripIndex;
+    }
+
+    async releaseStrip(stripIndex, botUsername = null) {
+        this.logEvent('strip_released', { bot: botUsername, strip: stripIndex });
+        await this._run(`UPDATE strips SET status = 'pending', assigned_to = NULL, assigned_at = NULL, heartbeat_at = NULL WHERE project_id = ? AND strip_index = ?`, [this.projectId, stripIndex]);
+    }
+
+    /**
+     * Keeps a bot's claim on its strip alive. Strips whose bot stops sending these (because it
+     * crashed or was killed) go back to pending after `LEASE_TIMEOUT` seconds.
+     * @returns {Promise<boolean>} False if the strip is no longer assigned to the bot.
+     */
+    async renewLease(stripIndex, botUsername) {
+        const result = await this._run(
+            `UPDATE strips SET heartbeat_at = CURRENT_TIMESTAMP
+             WHERE project_id = ? AND strip_index = ? AND status = 'assigned' AND assigned_to = ?`,
+            [this.projectId, stripIndex, botUsername]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Puts strips whose lease has expired back to pending.
+     * @returns {Promise<number>} The number of strips reclaimed.
+     */
+    async reclaimExpiredLeases() {
+        const expired = await this.db.all(
+            `SELECT strip_index, assigned_to FROM strips
+             WHERE project_id = ? AND status = 'assigned' AND COALESCE(heartbeat_at, assigned_at) < datetime('now', ?)`,
+            [this.projectId, `-${LEASE_TIMEOUT} seconds`]
+        );
+        let reclaimed = 0;
+        for (const { strip_index, assigned_to } of expired) {
+            // Same guard as claiming: the bot may have renewed or released it in the meantime
+            const result = await this._run(
+                `UPDATE strips SET status = 'pending', assigned_to = NULL, assigned_at = NULL, heartbeat_at = NULL
+                 WHERE project_id = ? AND strip_index = ? AND status = 'assigned' AND assigned_to = ?
+                   AND COALESCE(heartbeat_at, assigned_at) < datetime('now', ?)`,
+                [this.projectId, strip_index, assigned_to, `-${LEASE_TIMEOUT} seconds`]
+            );
+            if (result.changes > 0) {
+                console.warn(`[DB] Lease of ${assigned_to} on strip ${strip_index} expired. Strip is pending again.`);
+                this.logEvent('strip_reclaimed', { bot: assigned_to, strip: strip_index, details: 'lease expired' });
+                reclaimed++;
+            }
+        }
+        return reclaimed;
+    }
+
+    /**
+     * Assigned strips with their owner, and the seconds since they were claimed and last renewed.
+     * @returns {Promise<Array<{strip_index: number, assigned_to: string, age: number, since_heartbeat: number, expired: boolean}>>}
+     */
+    async getLeases() {
+        const leases = await this.db.all(
+            `SELECT strip_index, assigned_to,
+                    CAST(strftime('%s', 'now') - strftime('%s', assigned_at) AS INTEGER) as age,
+                    CAST(strftime('%s', 'now') - strftime('%s', COALESCE(heartbeat_at, assigned_at)) AS INTEGER) as since_heartbeat
+             FROM strips
+             WHERE project_id = ? AND status = 'assigned'
+             ORDER BY strip_index`,
+            [this.projectId]
+        );
+        return leases.map(lease => ({ ...lease, expired: lease.since_heartbeat > LEASE_TIMEOUT }));
+    }
+
+    async completeStrip(stripIndex, botUsername = null) {
+        this.logEvent('strip_completed', { bot: botUsername, strip: stripIndex });
+        await this._run(`UPDATE strips SET status = 'completed' WHERE project_id = ? AND strip_index = ?`, [this.projectId, stripIndex]);
+    }
+
+    /**
+     * Marks a block as placed. The update is queued (see `flush`); reads of the placements in this
+     * process flush first, so they always see it.
+     * @param {number} x
+     * @param {number} z
+     * @param {object} [placedBy] - Who placed what, for the event log.
+     * @param {string} [placedBy.bot]
+     * @param {string} [placedBy.item]
+     */
+    async updateBlockPlaced(x, z, placedBy = {}) {
+        this._queueWrite('UPDATE blocks SET is_placed = 1 WHERE project_id = ? AND x = ? AND z = ?', [this.projectId, x, z]);
+        this.logEvent('block_placed', { ...placedBy, x, z });
+    }
+
+    async updateNooblinePlaced(x, placedBy = {}) {
+        this._queueWrite('UPDATE noobline SET is_placed = 1 WHERE project_id = ? AND x = ?', [this.projectId, x]);
+        this.logEvent('block_placed', { ...placedBy, x, details: 'noobline' });
+    }
+
+    // --- Verification ---
+
+    /**
+     * Completed strips, least recently verified first.
+     * @returns {Promise<Array<{strip_index: number, verified_at: string|null}>>}
+     */
+    async getCompletedStrips() {
+        return this.db.all(
+            `SELECT strip_index, verified_at FROM strips WHERE project_id = ? AND status = 'completed'
+             ORDER BY verified_at IS NOT NULL, verified_at, strip_index`,
+            [this.projectId]
+        );
+    }
+
+    /**
+     * Picks a completed strip that hasn't been verified for `interval` seconds and marks it as
+     * verified now, so other patrolling bots pass it over.
+     * @returns {Promise<number|null>} The strip index, or null if every strip was verified recently.
+     */
+    async claimStripForPatrol(interval) {
+        const candidate = await this.db.get(
+            `SELECT strip_index FROM strips
+             WHERE project_id = ? AND status = 'completed' AND (verified_at IS NULL OR verified_at < datetime('now', ?))
+             ORDER BY verified_at IS NOT NULL, verified_at, strip_index
+             LIMIT 1`,
+            [this.projectId, `-${interval} seconds`]
+        );
+        if (!candidate) return null;
+
+        // Same race-safe pattern as `claimStrip`
+        const result = await this._run(
+            `UPDATE strips SET verified_at = CURRENT_TIMESTAMP
+             WHERE project_id = ? AND strip_index = ? AND status = 'completed' AND (verified_at IS NULL OR verified_at < datetime('now', ?))`,
+            [this.projectId, candidate.strip_index, `-${interval} seconds`]
+        );
+        return result.changes > 0 ? candidate.strip_index : null;
+    }
+
+    async setStripVerified(stripIndex) {
+        await this._run('UPDATE strips SET verified_at = CURRENT_TIMESTAMP WHERE project_id = ? AND strip_index = ?', [this.projectId, stripIndex]);
+    }
+
+    /**
+     * Marks blocks that turned out wrong in the world as unplaced and puts them in a new block list
+     * work unit, so the next idle bot rebuilds just those blocks.
+     * @param {number} stripIndex - The strip they were found on.
+     * @param {Array<{x: number, z: number, item_id: string, found: string, noobline?: boolean}>} mismatches
+     * @param {string} [botUsername] - The bot that found them.
+     * @returns {Promise<number>} The index of the repair unit.
+     */
+    async markForRepair(stripIndex, mismatches, botUsername = null) {
+        await this.flush(); // Queued placements must not overwrite the reset
+        const project = await this.getProjectState();
+        const unit = { blocks: mismatches.map(({ x, z }) => ({ x, z })) };
+        const repairIndex = await this.transaction(async () => {
+            for (const block of mismatches) {
+                if (block.noobline) {
+                    await this.db.run('UPDATE noobline SET is_placed = 0 WHERE project_id = ? AND x = ?', [this.projectId, block.x]);
+                } else {
+                    await this.db.run('UPDATE blocks SET is_placed = 0 WHERE project_id = ? AND x = ? AND z = ?', [this.projectId, block.x, block.z]);
+                }
+            }
+            return this._insertWorkUnit(this._normalizeWorkUnit(unit, project));
+        });
+        for (const block of mismatches) {
+            this.logEvent('block_mismatch', {
+                bot: botUsername, strip: stripIndex, x: block.x, z: block.z, item: block.item_id, details: `found ${block.found}`
+            });
+        }
+        this.logEvent('unit_created', {
+            bot: botUsername, strip: repairIndex, count: mismatches.length, details: `repairs for strip ${stripIndex}`
+        });
+        return repairIndex;
+    }
+
+    // --- Event Log ---
+
+    /**
+     * Appends an event to the log of the current project. Events are queued and written with the
+     * placement updates, stamped with the time they happened.
+     * @param {string} type - One of `DatabaseManager.EVENT_TYPES`.
+     * @param {object} [fields]
+     * @param {string} [fields.bot]
+     * @param {number} [fields.strip]
+     * @param {number} [fields.x]
+     * @param {number} [fields.z]
+     * @param {string} [fields.item]
+     * @param {number} [fields.count]
+     * @param {string} [fields.details]
+     */
+    logEvent(type, fields = {}) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type "${type}".`);
+        }
+        const { bot = null, strip = null, x = null, z = null, item = null, count = null, details = null } = fields;
+        const createdAt = new Date().toISOString().replace('T', ' ').replace('Z', '');
+        this._queueWrite(
+            `INSERT INTO events (project_id, created_at, bot, type, strip_index, x, z, item_id, count, details)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [this.projectId, createdAt, bot, type, strip, x, z, item, count, details]
+        );
+    }
+
+    /**
+     * Events of the current project, newest last.
+     * @param {object} [filters]
+     * @param {string} [filters.bot]
+     * @param {number} [filters.strip]
+     * @param {string[]} [filters.types]
+     * @param {number} [filters.x] - Only events at this block (with `z`).
+     * @param {number} [filters.z]
+     * @param {string} [filters.since] - UTC time, 'YYYY-MM-DD HH:MM:SS'.
+     * @param {number} [filters.limit] - Only the latest this many.
+     */
+    async getEvents(filters = {}) {
+        await this.flush();
+        const { where, params } = this._eventFilter(filters);
+        const limit = filters.limit ? `LIMIT ${Math.floor(filters.limit)}` : '';
+        const events = await this.db.all(`SELECT * FROM events WHERE ${where} ORDER BY id DESC ${limit}`, params);
+        return events.reverse();
     }
 
-    async completeStrip(stripIndex) {
-        await this.db.run(`UPDATE strips SET status = 'completed' WHERE strip_index = ?`, [stripIndex]);
+    /**
+     * Event counts per bot and type, with the time of the first and last one.
+     * Takes the same filters as `getEvents`.
+     * @returns {Promise<Array<{bot: string|null, type: string, count: number, first: string, last: string}>>}
+     */
+    async getEventSummary(filters = {}) {
+        await this.flush();
+        const { where, params } = this._eventFilter(filters);
+        return this.db.all(
+            `SELECT bot, type, COUNT(*) as count, MIN(created_at) as first, MAX(created_at) as last
+             FROM events WHERE ${where} GROUP BY bot, type ORDER BY bot, type`,
+            params
+        );
     }
 
-    async updateBlockPlaced(x, z) {
-        await this.db.run('UPDATE blocks SET is_placed = 1 WHERE x = ? AND z = ?', [x, z]);
+    _eventFilter({ bot, strip, types, x, z, since } = {}) {
+        const conditions = ['project_id = ?'];
+        const params = [this.projectId];
+        if (bot !== undefined) {
+            conditions.push('bot = ?');
+            params.push(bot);
+        }
+        if (strip !== undefined) {
+            conditions.push('strip_index = ?');
+            params.push(strip);
+        }
+        if (types && types.length > 0) {
+            conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types);
+        }
+        if (x !== undefined && z !== undefined) {
+            conditions.push('x = ? AND z = ?');
+            params.push(x, z);
+        }
+        if (since !== undefined) {
+            conditions.push('created_at >= ?');
+            params.push(since);
+        }
+        return { where: conditions.join(' AND '), params };
     }
     
-    async getPlacementsForStrip(stripIndex) {
+    /**
+     * Unplaced blocks of a strip: everything in its rectangle, or for `blocks` units the listed
+     * positions only. Each placement carries `support_id`, the block its column (`y` blocks high)
+     * is built from. Strips that reach the northern edge of the grid also return their unplaced
+     * noobline blocks, flagged with `noobline: true` one row past the edge.
+     * @param {number} stripIndex
+     * @param {object} [options]
+     * @param {boolean} [options.includePlaced=false] - Return placed blocks too, with their `is_placed` flag.
+     */
+    async getPlacementsForStrip(stripIndex, options = {}) {
+        const { includePlaced = false } = options;
+        await this.flush();
         const project = await this.getProjectState();
         if (!project) return [];
-        
-        const startZ = stripIndex * project.strip_width;
-        const endZ = Math.min(startZ + project.strip_width, 128);
 
+        const strip = await this.getStrip(stripIndex);
+        if (!strip) return [];
+        const { x_start: startX, x_end: endX, z_start: startZ, z_end: endZ } = strip;
+        const listed = strip.kind === 'blocks'
+            ? new Set((await this.db.all(
+                'SELECT x, z FROM strip_blocks WHERE project_id = ? AND strip_index = ?', [this.projectId, stripIndex]
+            )).map(({ x, z }) => `${x},${z}`))
+            : null;
+        const inUnit = (x, z) => !listed || listed.has(`${x},${z}`);
+
+        const placements = (await this.db.all(
+            `SELECT x, z, y, shade, color_name, item_id, is_placed FROM blocks 
+             WHERE project_id = ? AND x >= ? AND x < ? AND z >= ? AND z < ? AND (is_placed = 0 OR ?) AND color_name != ?`,
+            [this.projectId, startX, endX, startZ, endZ, includePlaced ? 1 : 0, EMPTY_COLOR]
+        )).filter(placement => inUnit(placement.x, placement.z));
+        placements.forEach(placement => placement.support_id = project.support_block);
+
+        const gridEndZ = project.grid_rows * MAP_SIZE;
+        if (endZ >= gridEndZ) {
+            const noobline = await this.db.all(
+                'SELECT x, y, is_placed FROM noobline WHERE project_id = ? AND x >= ? AND x < ? AND (is_placed = 0 OR ?)',
+                [this.projectId, startX, endX, includePlaced ? 1 : 0]
+            );
+            for (const { x, y, is_placed } of noobline.filter(block => inUnit(block.x, gridEndZ))) {
+                placements.push({
+                    x, z: gridEndZ, y, shade: 1, is_placed,
+                    color_name: 'noobline',
+                    item_id: project.support_block,
+                    support_id: project.support_block,
+                    noobline: true
+                });
+            }
+        }
+        return placements;
+    }
+
+    /**
+     * Every block of the plan that gets placed, i.e. everything but empty pixels.
+     * @returns {Promise<Array<{x: number, z: number, y: number, shade: number, color_name: string, item_id: string, is_placed: number}>>}
+     */
+    async getPlanBlocks() {
         return this.db.all(
-            `SELECT x, z, color_name, item_id FROM blocks 
-             WHERE z >= ? AND z < ? AND is_placed = 0`,
-            [startZ, endZ]
+            'SELECT x, z, y, shade, color_name, item_id, is_placed FROM blocks WHERE project_id = ? AND color_name != ? ORDER BY z, x',
+            [this.projectId, EMPTY_COLOR]
         );
     }
 
+    async getNoobline() {
+        return this.db.all('SELECT x, y, is_placed FROM noobline WHERE project_id = ? ORDER BY x', [this.projectId]);
+    }
+
+    /**
+     * Blocks the project needs per item ID. Staircase support columns and the noobline count
+     * towards the support block; a column counts as placed once the block on top of it is.
+     * @returns {Promise<Array<{item_id: string, total: number, placed: number}>>} Most used first.
+     */
+    async getMaterials() {
+        const project = await this.getProjectState();
+        if (!project) return [];
+
+        const materials = await this.db.all(
+            `SELECT item_id, COUNT(*) as total, SUM(is_placed) as placed FROM blocks
+             WHERE project_id = ? AND color_name != ? GROUP BY item_id`,
+            [this.projectId, EMPTY_COLOR]
+        );
+
+        if (project.support_block) {
+            const columns = await this.db.get(
+                `SELECT COALESCE(SUM(y), 0) as total, COALESCE(SUM(y * is_placed), 0) as placed FROM blocks
+                 WHERE project_id = ? AND color_name != ?`,
+                [this.projectId, EMPTY_COLOR]
+            );
+            const noobline = await this.db.get(
+                'SELECT COALESCE(SUM(y + 1), 0) as total, COALESCE(SUM((y + 1) * is_placed), 0) as placed FROM noobline WHERE project_id = ?',
+                [this.projectId]
+            );
+            let support = materials.find(material => material.item_id === project.support_block);
+            if (!support) {
+                support = { item_id: project.support_block, total: 0, placed: 0 };
+                materials.push(support);
+            }
+            support.total += columns.total + noobline.total;
+            support.placed += columns.placed + noobline.placed;
+        }
+        return materials.filter(material => material.total > 0).sort((a, b) => b.total - a.total);
+    }
+
     async getCompletionStats() {
+        await this.flush();
         const project = await this.getProjectState();
         if (!project) return { project: null };
 
         const counts = await this.db.get(`
             SELECT
-                (SELECT COUNT(*) FROM blocks) as total_blocks,
-                (SELECT COUNT(*) FROM blocks WHERE is_placed = 1) as placed_blocks,
-                (SELECT COUNT(*) FROM strips WHERE status = 'pending') as pending_strips,
-                (SELECT COUNT(*) FROM strips WHERE status = 'assigned') as assigned_strips,
-                (SELECT COUNT(*) FROM strips WHERE status = 'completed') as completed_strips
-        `);
+                (SELECT COUNT(*) FROM blocks WHERE project_id = $project AND color_name != $empty) as total_blocks,
+                (SELECT COUNT(*) FROM blocks WHERE project_id = $project AND is_placed = 1) as placed_blocks,
+                (SELECT COUNT(*) FROM blocks WHERE project_id = $project AND color_name = $empty) as empty_blocks,
+                (SELECT COUNT(*) FROM strips WHERE project_id = $project AND status = 'pending') as pending_strips,
+                (SELECT COUNT(*) FROM strips WHERE project_id = $project AND status = 'assigned') as assigned_strips,
+                (SELECT COUNT(*) FROM strips WHERE project_id = $project AND status = 'completed') as completed_strips
+        `, { $project: this.projectId, $empty: EMPTY_COLOR });
+        
+        const maps = await this.db.all(`
+            SELECT m.map_index, m.grid_x, m.grid_z, m.origin_x, m.origin_y, m.origin_z,
+                   COUNT(b.x) as total_blocks, COALESCE(SUM(b.is_placed), 0) as placed_blocks
+            FROM maps m LEFT JOIN blocks b ON b.project_id = m.project_id AND b.map_index = m.map_index AND b.color_name != ?
+            WHERE m.project_id = ?
+            GROUP BY m.map_index
+            ORDER BY m.map_index
+        `, [EMPTY_COLOR, this.projectId]);
         
         return {
             project,
-            total_blocks: 128 * 128,
+            total_blocks: counts.total_blocks,
             placed_blocks: counts.placed_blocks,
+            empty_blocks: counts.empty_blocks,
             total_strips: project.total_strips,
             pending_strips: counts.pending_strips,
             assigned_strips: counts.assigned_strips,
-            completed_strips: counts.completed_strips
+            completed_strips: counts.completed_strips,
+            maps
         };
     }
 }
 
+DatabaseManager.SCHEMA_VERSION = SCHEMA_VERSION;
+DatabaseManager.LEASE_TIMEOUT = LEASE_TIMEOUT;
+DatabaseManager.MIN_STEAL_BLOCKS = MIN_STEAL_BLOCKS;
+DatabaseManager.EVENT_TYPES = EVENT_TYPES;
+
 module.exports = DatabaseManager;
\ No newline at end of file
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const ColorMetrics = require('./ColorMetrics');
+
+// Custom kernels in this directory (.json or .js) are registered when the module loads.
+const DEFAULT_KERNELS_DIR = path.join(__dirname, '..', '..', 'config', 'kernels');
+
+// --- Threshold maps for ordered dithering ---
+// Each map holds thresholds in [-0.5, 0.5) and is tiled over the image.
+
+// Bayer matrix of size n (a power of two), built recursively from the 2x2 matrix.
+function bayerMatrix(n) {
+    let matrix = [[0]];
+    for (let size = 1; size < n; size *= 2) {
+        const next = Array.from({ length: size * 2 }, () => new Array(size * 2));
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const v = matrix[y][x] * 4;
+                next[y][x] = v;
+                next[y][x + size] = v + 2;
+                next[y + size][x] = v + 3;
+                next[y + size][x + size] = v + 1;
+            }
+        }
+        matrix = next;
+    }
+    return matrix.map(row => row.map(v => (v + 0.5) / (n * n) - 0.5));
+}
+
+// Small seeded PRNG so the blue-noise map (and therefore the plan) is reproducible.
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Blue-noise threshold map generated with Ulichney's void-and-cluster method on a torus.
+ * @param {number} size - Width and height of the map.
+ * @returns {number[][]}
+ */
+function blueNoiseMatrix(size, seed = 1) {
+    const n = size * size;
+    const sigma = 1.5;
+    const radius = Math.ceil(sigma * 3);
+
+    // Gaussian "energy" each set pixel adds to its (toroidal) neighbourhood
+    const energy = new Float64Array(n);
+    const splat = (index, sign) => {
+        const px = index % size, py = Math.floor(index / size);
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const x = (px + dx + size) % size, y = (py + dy + size) % size;
+                energy[y * size + x] += sign * Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+            }
+        }
+    };
+    const extreme = (pattern, value, pickMax) => {
+        let best = -1;
+        for (let i = 0; i < n; i++) {
+            if (pattern[i] !== value) continue;
+            if (best === -1 || (pickMax ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+        }
+        return best;
+    };
+
+    // Initial pattern: ~10% random points, relaxed by moving the tightest cluster into the largest void.
+    const random = mulberry32(seed);
+    const initial = new Uint8Array(n);
+    let onesCount = 0;
+    while (onesCount < Math.floor(n / 10)) {
+        const i = Math.floor(random() * n);
+        if (!initial[i]) { initial[i] = 1; splat(i, 1); onesCount++; }
+    }
+    for (;;) {
+        const cluster = extreme(initial, 1, true);
+        initial[cluster] = 0; splat(cluster, -1);
+        const voidIndex = extreme(initial, 0, false);
+        initial[voidIndex] = 1; splat(voidIndex, 1);
+        if (voidIndex === cluster) break;
+    }
+
+    const ranks = new Int32Array(n);
+    const pattern = initial.slice();
+    const initialEnergy = energy.slice();
+
+    // Phase 1: rank the initial points by removing the tightest cluster first.
+    for (let rank = onesCount - 1; rank >= 0; rank--) {
+        const cluster = extreme(pattern, 1, true);
+        pattern[cluster] = 0; splat(cluster, -1);
+        ranks[cluster] = rank;
+    }
+
+    // Phase 2: fill the largest voids up to half of the pixels.
+    pattern.set(initial);
+    energy.set(initialEnergy);
+    for (let rank = onesCount; rank < n / 2; rank++) {
+        const voidIndex = extreme(pattern, 0, false);
+        pattern[voidIndex] = 1; splat(voidIndex, 1);
+        ranks[voidIndex] = rank;
+    }
+
+    // Phase 3: rank the remaining pixels by the tightest cluster of empty pixels.
+    energy.fill(0);
+    for (let i = 0; i < n; i++) if (!pattern[i]) splat(i, 1);
+    for (let rank = n / 2; rank < n; rank++) {
+        const cluster = extreme(pattern, 0, true);
+        pattern[cluster] = 1; splat(cluster, -1);
+        ranks[cluster] = rank;
+    }
+
+    return Array.from({ length: size }, (_, y) =>
+        Array.from({ length: size }, (_, x) => (ranks[y * size + x] + 0.5) / n - 0.5));
+}
+
+/**
+ * Ordered dithering: offsets every pixel by its threshold before picking the nearest color, so
+ * a pixel's result only depends on itself and its position (no error is carried to neighbours).
+ * @param {number[][]|null} thresholdMap - Tiled thresholds in [-0.5, 0.5), or null for plain nearest-color.
+ * @param {Uint8Array} [mask] - Pixels (y * width + x) to leave unquantized.
+ */
+function orderedDither(imageData, width, height, palette, thresholdMap, mask = null) {
+    // Offset by roughly the distance between neighbouring palette colors
+    const spread = 255 / Math.cbrt(palette.entries.length);
+    const data = new Array(height);
+
+    for (let y = 0; y < height; y++) {
+        data[y] = new Array(width);
+        for (let x = 0; x < width; x++) {
+            const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(x, y));
+            if (mask && mask[y * width + x]) {
+                data[y][x] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b, colorName: null, shade: null };
+                continue;
+            }
+            const offset = thresholdMap
+                ? thresholdMap[y % thresholdMap.length][x % thresholdMap[0].length] * spread
+                : 0;
+            const newColor = ColorMetrics.findClosest(
+                Math.max(0, Math.min(255, pixelColor.r + offset)),
+                Math.max(0, Math.min(255, pixelColor.g + offset)),
+                Math.max(0, Math.min(255, pixelColor.b + offset)),
+                palette
+            );
+            data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: newColor.name, shade: newColor.shade };
+        }
+    }
+    return data;
+}
+
+/**
+ * Error diffusion: quantizes pixels in scan order and spreads each pixel's error over the
+ * neighbours listed in the kernel's pattern.
+ * @param {object} kernel - A registered error-diffusion kernel.
+ * @param {object} [options]
+ * @param {boolean} [options.serpentine=false] - Scan every other row right-to-left, mirroring the pattern.
+ * @param {number} [options.strength=1] - Fraction (0-1) of the error passed on.
+ * @param {Uint8Array} [options.mask] - Pixels (y * width + x) to leave unquantized. They neither
+ *   pass on nor receive error.
+ */
+function errorDiffusion(imageData, width, height, palette, kernel, options = {}) {
+    const { serpentine = false, strength = 1, mask = null } = options;
+    const data = new Array(height);
+    for (let i = 0; i < height; i++) {
+        data[i] = new Array(width);
+        for (let j = 0; j < width; j++) {
+            const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
+            data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        const direction = serpentine && y % 2 === 1 ? -1 : 1;
+        for (let i = 0; i < width; i++) {
+            const x = direction === 1 ? i : width - 1 - i;
+            if (mask && mask[y * width + x]) {
+                data[y][x].colorName = null;
+                data[y][x].shade = null;
+                continue;
+            }
+            const oldR = data[y][x].r;
+            const oldG = data[y][x].g;
+            const oldB = data[y][x].b;
+
+            const newColor = ColorMetrics.findClosest(oldR, oldG, oldB, palette);
+
+            data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: newColor.name, shade: newColor.shade };
+
+            const errorR = (oldR - newColor.r) * strength;
+            const errorG = (oldG - newColor.g) * strength;
+            const errorB = (oldB - newColor.b) * strength;
+
+            for (const { dx, dy, weight } of kernel.pattern) {
+                const newX = x + dx * direction;
+                const newY = y + dy;
+                if (newX >= 0 && newX < width && newY >= 0 && newY < height && !(mask && mask[newY * width + newX])) {
+                    data[newY][newX].r = Math.max(0, Math.min(255, data[newY][newX].r + errorR * weight));
+                    data[newY][newX].g = Math.max(0, Math.min(255, data[newY][newX].g + errorG * weight));
+                    data[newY][newX].b = Math.max(0, Math.min(255, data[newY][newX].b + errorB * weight));
+                }
+            }
+        }
+    }
+
+    return data;
+}
+
+// --- Built-in algorithms ---
+// Error-diffusion patterns are [dx, dy, weight] triples; weights are divided by `divisor`.
+
+const BUILT_IN = {
+    floydSteinberg: {
+        type: 'errorDiffusion',
+        divisor: 16,
+        pattern: [
+            [1, 0, 7],
+            [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+        ]
+    },
+    jarvisJudiceNinke: {
+        type: 'errorDiffusion',
+        divisor: 48,
+        pattern: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    stucki: {
+        type: 'errorDiffusion',
+        divisor: 42,
+        pattern: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    // Atkinson deliberately passes on only 6/8 of the error.
+    atkinson: {
+        type: 'errorDiffusion',
+        divisor: 8,
+        pattern: [
+            [1, 0, 1], [2, 0, 1],
+            [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+            [0, 2, 1]
+        ]
+    },
+    sierra: {
+        type: 'errorDiffusion',
+        divisor: 32,
+        pattern: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    burkes: {
+        type: 'errorDiffusion',
+        divisor: 32,
+        pattern: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ]
+    },
+    bayer2: { type: 'ordered', thresholds: () => bayerMatrix(2) },
+    bayer4: { type: 'ordered', thresholds: () => bayerMatrix(4) },
+    bayer8: { type: 'ordered', thresholds: () => bayerMatrix(8) },
+    blueNoise: { type: 'ordered', thresholds: () => blueNoiseMatrix(64) },
+    // Nearest color only
+    none: { type: 'ordered', thresholds: () => null }
+};
+
+const registry = new Map();
+
+class DitheringRegistry {
+    /**
+     * Registers a dithering algorithm under `name`, replacing any algorithm with that name.
+     * @param {string} name
+     * @param {object} definition - Either an error-diffusion kernel
+     *   `{ type: 'errorDiffusion', pattern: [[dx, dy, weight], ...], divisor? }` (divisor defaults to the
+     *   sum of the weights), or an ordered threshold map `{ type: 'ordered', matrix: [[rank, ...], ...] }`
+     *   whose ranks are 0..n-1. `type` may be omitted and is inferred from `pattern` / `matrix`.
+     */
+    static register(name, definition) {
+        if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+            throw new Error(`Invalid dithering algorithm name "${name}".`);
+        }
+        const type = definition.type || (definition.pattern ? 'errorDiffusion' : definition.matrix ? 'ordered' : null);
+
+        if (type === 'errorDiffusion') {
+            const { pattern } = definition;
+            const validEntry = entry => Array.isArray(entry) && entry.length === 3 && entry.every(Number.isFinite) &&
+                Number.isInteger(entry[0]) && Number.isInteger(entry[1]) && (entry[1] > 0 || (entry[1] === 0 && entry[0] > 0));
+            if (!Array.isArray(pattern) || pattern.length === 0 || !pattern.every(validEntry)) {
+                throw new Error(`Kernel "${name}": pattern must be a list of [dx, dy, weight] entries that point forward (dy > 0, or dy = 0 and dx > 0).`);
+            }
+            const divisor = definition.divisor ?? pattern.reduce((sum, [, , weight]) => sum + weight, 0);
+            if (!(divisor > 0)) {
+                throw new Error(`Kernel "${name}": divisor must be positive.`);
+            }
+            registry.set(name, {
+                name,
+                type,
+                pattern: pattern.map(([dx, dy, weight]) => ({ dx, dy, weight: weight / divisor }))
+            });
+        } else if (type === 'ordered') {
+            let { thresholds } = definition;
+            if (!thresholds) {
+                const { matrix } = definition;
+                const cells = Array.isArray(matrix) ? matrix.flat() : [];
+                if (cells.length === 0 || !matrix.every(row => Array.isArray(row) && row.length === matrix[0].length) ||
+                    !cells.every(Number.isFinite)) {
+                    throw new Error(`Threshold map "${name}": matrix must be a rectangular array of numbers.`);
+                }
+                const normalized = matrix.map(row => row.map(rank => (rank + 0.5) / cells.length - 0.5));
+                thresholds = () => normalized;
+            }
+            let cache;
+            registry.set(name, { name, type, thresholds: () => (cache === undefined ? (cache = thresholds()) : cache) });
+        } else {
+            throw new Error(`Dithering algorithm "${name}" needs a "pattern" (error diffusion) or a "matrix" (ordered).`);
+        }
+    }
+
+    /**
+     * Registers the algorithms defined in a .json or .js file. The file exports (or contains) either
+     * a single definition with a `name`, an array of those, or an object mapping names to definitions.
+     * @returns {string[]} The names that were registered.
+     */
+    static loadFile(filePath) {
+        const resolved = path.resolve(filePath);
+        const contents = resolved.endsWith('.json')
+            ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+            : require(resolved);
+
+        let definitions;
+        if (Array.isArray(contents)) definitions = contents;
+        else if (contents.name) definitions = [contents];
+        else definitions = Object.entries(contents).map(([name, definition]) => ({ name, ...definition }));
+
+        for (const { name, ...definition } of definitions) {
+            DitheringRegistry.register(name, definition);
+        }
+        return definitions.map(definition => definition.name);
+    }
+
+    /**
+     * Registers every .json / .js file in a directory. Broken files are reported and skipped.
+     */
+    static loadDirectory(directory = DEFAULT_KERNELS_DIR) {
+        if (!fs.existsSync(directory)) return;
+        for (const file of fs.readdirSync(directory).sort()) {
+            if (!/\.(json|js)$/.test(file)) continue;
+            try {
+                DitheringRegistry.loadFile(path.join(directory, file));
+            } catch (err) {
+                console.error(`[Dithering] Could not load kernels from ${file}: ${err.message}`);
+            }
+        }
+    }
+
+    static has(name) {
+        return registry.has(name);
+    }
+
+    static get(name) {
+        return registry.get(name) || null;
+    }
+
+    /**
+     * @returns {string[]} Names of every registered algorithm, built-in ones first.
+     */
+    static names() {
+        return [...registry.keys()];
+    }
+
+    /**
+     * Quantizes an image to the palette with the named algorithm.
+     * @param {string} name - A registered algorithm.
+     * @param {import('jimp')} image - Source image, already resized to `width` x `height`.
+     * @param {number} width
+     * @param {number} height
+     * @param {object} palette - A palette prepared with `ColorMetrics.preparePalette`.
+     * @param {object} [options] - `serpentine` and `strength` for error-diffusion kernels, and a `mask`
+     *   (Uint8Array, y * width + x) of pixels to skip.
+     * @returns {Array<Array<object>>} Rows of `{ r, g, b, colorName, shade }`; skipped pixels have a null `colorName`.
+     */
+    static apply(name, image, width, height, palette, options = {}) {
+        const algorithm = registry.get(name);
+        if (!algorithm) {
+            throw new Error(`Unknown dithering algorithm "${name}".`);
+        }
+        if (algorithm.type === 'errorDiffusion') {
+            return errorDiffusion(image, width, height, palette, algorithm, options);
+        }
+        return orderedDither(image, width, height, palette, algorithm.thresholds(), options.mask);
+    }
+}
+
+for (const [name, definition] of Object.entries(BUILT_IN)) {
+    DitheringRegistry.register(name, definition);
+}
+DitheringRegistry.loadDirectory();
+
+DitheringRegistry.DEFAULT_KERNELS_DIR = DEFAULT_KERNELS_DIR;
+
+module.exports = DitheringRegistry;
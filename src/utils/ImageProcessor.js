@@ -1,381 +1,111 @@
 const Jimp = require('jimp');
 const path = require('path');
 const axios = require('axios');
+const Palette = require('./Palette');
+const ColorMetrics = require('./ColorMetrics');
+const DitheringRegistry = require('./DitheringRegistry');
 
-// RGB values for Minecraft carpet colors (Unchanged)
-const COLOR_MAP = {
-    white: { r: 221, g: 221, b: 221, id: 'white_carpet' },
-    light_gray: { r: 170, g: 170, b: 170, id: 'light_gray_carpet' }, // Note: light_gray_carpet
-    gray: { r: 85, g: 85, b: 85, id: 'gray_carpet' },
-    black: { r: 25, g: 25, b: 25, id: 'black_carpet' },
-    brown: { r: 136, g: 85, b: 51, id: 'brown_carpet' },
-    red: { r: 170, g: 51, b: 51, id: 'red_carpet' },
-    orange: { r: 221, g: 119, b: 51, id: 'orange_carpet' },
-    yellow: { r: 238, g: 204, b: 51, id: 'yellow_carpet' },
-    lime: { r: 119, g: 187, b: 51, id: 'lime_carpet' },
-    green: { r: 85, g: 119, b: 51, id: 'green_carpet' },
-    cyan: { r: 51, g: 136, b: 153, id: 'cyan_carpet' },
-    light_blue: { r: 85, g: 153, b: 221, id: 'light_blue_carpet' },
-    blue: { r: 51, g: 68, b: 170, id: 'blue_carpet' },
-    purple: { r: 119, g: 51, b: 187, id: 'purple_carpet' },
-    magenta: { r: 187, g: 68, b: 187, id: 'magenta_carpet' },
-    pink: { r: 238, g: 136, b: 170, id: 'pink_carpet' },
-};
+// Height change relative to the northern neighbour needed to produce each buildable shade.
+const SHADE_STEP = { 0: -1, 1: 0, 2: 1 };
 
-const COLOR_NAMES = Object.keys(COLOR_MAP);
+const MAP_MODES = ['flat', 'staircase'];
 
-// Function to find the closest color in our palette (Unchanged)
-function findClosestColor(r, g, b) {
-    let closestColor = 'white';
-    let minDistance = Infinity;
+// Highest staircase column, in blocks above the start level. StripPlacer places a column from the
+// ground next to it, so its top has to be within reach (4.5 blocks) of that spot.
+const MAX_STAIRCASE_HEIGHT = 4;
 
-    for (const colorName of COLOR_NAMES) {
-        const color = COLOR_MAP[colorName];
-        const distance = Math.pow(r - color.r, 2) + Math.pow(g - color.g, 2) + Math.pow(b - color.b, 2);
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestColor = colorName;
-        }
-    }
-    return closestColor;
-}
+// Width and height of a single map, in blocks.
+const MAP_SIZE = 128;
 
-// Dithering algorithms
-class DitheringAlgorithms {
-    // Floyd-Steinberg dithering (default)
-    static floydSteinberg(imageData, width, height) {
-        const data = new Array(height);
-        for (let i = 0; i < height; i++) {
-            data[i] = new Array(width);
-            for (let j = 0; j < width; j++) {
-                const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
-                data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
-            }
-        }
+// How the image is fitted to the maps: squash it, crop it to fill them, or letterbox it.
+const FIT_MODES = ['stretch', 'cover', 'contain'];
 
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const oldR = data[y][x].r;
-                const oldG = data[y][x].g;
-                const oldB = data[y][x].b;
-                
-                const closestColorName = findClosestColor(oldR, oldG, oldB);
-                const newColor = COLOR_MAP[closestColorName];
-                
-                data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: closestColorName };
-                
-                const errorR = oldR - newColor.r;
-                const errorG = oldG - newColor.g;
-                const errorB = oldB - newColor.b;
-                
-                // Distribute error to neighboring pixels
-                if (x + 1 < width) {
-                    data[y][x + 1].r = Math.max(0, Math.min(255, data[y][x + 1].r + errorR * 7 / 16));
-                    data[y][x + 1].g = Math.max(0, Math.min(255, data[y][x + 1].g + errorG * 7 / 16));
-                    data[y][x + 1].b = Math.max(0, Math.min(255, data[y][x + 1].b + errorB * 7 / 16));
-                }
-                
-                if (y + 1 < height) {
-                    if (x - 1 >= 0) {
-                        data[y + 1][x - 1].r = Math.max(0, Math.min(255, data[y + 1][x - 1].r + errorR * 3 / 16));
-                        data[y + 1][x - 1].g = Math.max(0, Math.min(255, data[y + 1][x - 1].g + errorG * 3 / 16));
-                        data[y + 1][x - 1].b = Math.max(0, Math.min(255, data[y + 1][x - 1].b + errorB * 3 / 16));
-                    }
-                    
-                    data[y + 1][x].r = Math.max(0, Math.min(255, data[y + 1][x].r + errorR * 5 / 16));
-                    data[y + 1][x].g = Math.max(0, Math.min(255, data[y + 1][x].g + errorG * 5 / 16));
-                    data[y + 1][x].b = Math.max(0, Math.min(255, data[y + 1][x].b + errorB * 5 / 16));
-                    
-                    if (x + 1 < width) {
-                        data[y + 1][x + 1].r = Math.max(0, Math.min(255, data[y + 1][x + 1].r + errorR * 1 / 16));
-                        data[y + 1][x + 1].g = Math.max(0, Math.min(255, data[y + 1][x + 1].g + errorG * 1 / 16));
-                        data[y + 1][x + 1].b = Math.max(0, Math.min(255, data[y + 1][x + 1].b + errorB * 1 / 16));
-                    }
-                }
-            }
-        }
-        
-        return data;
-    }
-
-    static jarvisJudiceNinke(imageData, width, height) {
-        const data = new Array(height);
-        for (let i = 0; i < height; i++) {
-            data[i] = new Array(width);
-            for (let j = 0; j < width; j++) {
-                const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
-                data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
-            }
-        }
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const oldR = data[y][x].r;
-                const oldG = data[y][x].g;
-                const oldB = data[y][x].b;
-                
-                const closestColorName = findClosestColor(oldR, oldG, oldB);
-                const newColor = COLOR_MAP[closestColorName];
-                
-                data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: closestColorName };
-                
-                const errorR = oldR - newColor.r;
-                const errorG = oldG - newColor.g;
-                const errorB = oldB - newColor.b;
-                
-                // Jarvis-Judice-Ninke error diffusion pattern
-                const diffusionPattern = [
-                    { dx: 1, dy: 0, weight: 7/48 },
-                    { dx: 2, dy: 0, weight: 5/48 },
-                    { dx: -2, dy: 1, weight: 3/48 },
-                    { dx: -1, dy: 1, weight: 5/48 },
-                    { dx: 0, dy: 1, weight: 7/48 },
-                    { dx: 1, dy: 1, weight: 5/48 },
-                    { dx: 2, dy: 1, weight: 3/48 },
-                    { dx: -2, dy: 2, weight: 1/48 },
-                    { dx: -1, dy: 2, weight: 3/48 },
-                    { dx: 0, dy: 2, weight: 5/48 },
-                    { dx: 1, dy: 2, weight: 3/48 },
-                    { dx: 2, dy: 2, weight: 1/48 }
-                ];
-                
-                for (const { dx, dy, weight } of diffusionPattern) {
-                    const newX = x + dx;
-                    const newY = y + dy;
-                    if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-                        data[newY][newX].r = Math.max(0, Math.min(255, data[newY][newX].r + errorR * weight));
-                        data[newY][newX].g = Math.max(0, Math.min(255, data[newY][newX].g + errorG * weight));
-                        data[newY][newX].b = Math.max(0, Math.min(255, data[newY][newX].b + errorB * weight));
-                    }
-                }
-            }
-        }
-        
-        return data;
-    }
-
-    static stucki(imageData, width, height) {
-        const data = new Array(height);
-        for (let i = 0; i < height; i++) {
-            data[i] = new Array(width);
-            for (let j = 0; j < width; j++) {
-                const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
-                data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
-            }
-        }
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const oldR = data[y][x].r;
-                const oldG = data[y][x].g;
-                const oldB = data[y][x].b;
-                
-                const closestColorName = findClosestColor(oldR, oldG, oldB);
-                const newColor = COLOR_MAP[closestColorName];
-                
-                data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: closestColorName };
-                
-                const errorR = oldR - newColor.r;
-                const errorG = oldG - newColor.g;
-                const errorB = oldB - newColor.b;
-                
-                // Stucki error diffusion pattern
-                const diffusionPattern = [
-                    { dx: 1, dy: 0, weight: 8/42 },
-                    { dx: 2, dy: 0, weight: 4/42 },
-                    { dx: -2, dy: 1, weight: 2/42 },
-                    { dx: -1, dy: 1, weight: 4/42 },
-                    { dx: 0, dy: 1, weight: 8/42 },
-                    { dx: 1, dy: 1, weight: 4/42 },
-                    { dx: 2, dy: 1, weight: 2/42 },
-                    { dx: -2, dy: 2, weight: 1/42 },
-                    { dx: -1, dy: 2, weight: 2/42 },
-                    { dx: 0, dy: 2, weight: 4/42 },
-                    { dx: 1, dy: 2, weight: 2/42 },
-                    { dx: 2, dy: 2, weight: 1/42 }
-                ];
-                
-                for (const { dx, dy, weight } of diffusionPattern) {
-                    const newX = x + dx;
-                    const newY = y + dy;
-                    if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-                        data[newY][newX].r = Math.max(0, Math.min(255, data[newY][newX].r + errorR * weight));
-                        data[newY][newX].g = Math.max(0, Math.min(255, data[newY][newX].g + errorG * weight));
-                        data[newY][newX].b = Math.max(0, Math.min(255, data[newY][newX].b + errorB * weight));
-                    }
-                }
-            }
-        }
-        
-        return data;
-    }
-
-    static atkinson(imageData, width, height) {
-        const data = new Array(height);
-        for (let i = 0; i < height; i++) {
-            data[i] = new Array(width);
-            for (let j = 0; j < width; j++) {
-                const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
-                data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
-            }
-        }
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const oldR = data[y][x].r;
-                const oldG = data[y][x].g;
-                const oldB = data[y][x].b;
-                
-                const closestColorName = findClosestColor(oldR, oldG, oldB);
-                const newColor = COLOR_MAP[closestColorName];
-                
-                data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: closestColorName };
-                
-                const errorR = oldR - newColor.r;
-                const errorG = oldG - newColor.g;
-                const errorB = oldB - newColor.b;
-                
-                // Atkinson error diffusion pattern
-                const diffusionPattern = [
-                    { dx: 1, dy: 0, weight: 1/8 },
-                    { dx: 2, dy: 0, weight: 1/8 },
-                    { dx: -1, dy: 1, weight: 1/8 },
-                    { dx: 0, dy: 1, weight: 1/8 },
-                    { dx: 1, dy: 1, weight: 1/8 },
-                    { dx: 0, dy: 2, weight: 1/8 }
-                ];
-                
-                for (const { dx, dy, weight } of diffusionPattern) {
-                    const newX = x + dx;
-                    const newY = y + dy;
-                    if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-                        data[newY][newX].r = Math.max(0, Math.min(255, data[newY][newX].r + errorR * weight));
-                        data[newY][newX].g = Math.max(0, Math.min(255, data[newY][newX].g + errorG * weight));
-                        data[newY][newX].b = Math.max(0, Math.min(255, data[newY][newX].b + errorB * weight));
-                    }
-                }
-            }
-        }
-        
-        return data;
-    }
-
-    static sierra(imageData, width, height) {
-        const data = new Array(height);
-        for (let i = 0; i < height; i++) {
-            data[i] = new Array(width);
-            for (let j = 0; j < width; j++) {
-                const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
-                data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
-            }
-        }
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const oldR = data[y][x].r;
-                const oldG = data[y][x].g;
-                const oldB = data[y][x].b;
-                
-                const closestColorName = findClosestColor(oldR, oldG, oldB);
-                const newColor = COLOR_MAP[closestColorName];
-                
-                data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: closestColorName };
-                
-                const errorR = oldR - newColor.r;
-                const errorG = oldG - newColor.g;
-                const errorB = oldB - newColor.b;
-                
-                // Sierra error diffusion pattern
-                const diffusionPattern = [
-                    { dx: 1, dy: 0, weight: 5/32 },
-                    { dx: 2, dy: 0, weight: 3/32 },
-                    { dx: -2, dy: 1, weight: 2/32 },
-                    { dx: -1, dy: 1, weight: 4/32 },
-                    { dx: 0, dy: 1, weight: 5/32 },
-                    { dx: 1, dy: 1, weight: 4/32 },
-                    { dx: 2, dy: 1, weight: 2/32 },
-                    { dx: -1, dy: 2, weight: 2/32 },
-                    { dx: 0, dy: 2, weight: 3/32 },
-                    { dx: 1, dy: 2, weight: 2/32 }
-                ];
-                
-                for (const { dx, dy, weight } of diffusionPattern) {
-                    const newX = x + dx;
-                    const newY = y + dy;
-                    if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-                        data[newY][newX].r = Math.max(0, Math.min(255, data[newY][newX].r + errorR * weight));
-                        data[newY][newX].g = Math.max(0, Math.min(255, data[newY][newX].g + errorG * weight));
-                        data[newY][newX].b = Math.max(0, Math.min(255, data[newY][newX].b + errorB * weight));
-                    }
-                }
-            }
-        }
-        
-        return data;
-    }
+// Which part of the image `cover` keeps and where `contain` places it, as seen in the source image.
+const GRAVITIES = {
+    center: Jimp.HORIZONTAL_ALIGN_CENTER | Jimp.VERTICAL_ALIGN_MIDDLE,
+    north: Jimp.HORIZONTAL_ALIGN_CENTER | Jimp.VERTICAL_ALIGN_TOP,
+    south: Jimp.HORIZONTAL_ALIGN_CENTER | Jimp.VERTICAL_ALIGN_BOTTOM,
+    east: Jimp.HORIZONTAL_ALIGN_RIGHT | Jimp.VERTICAL_ALIGN_MIDDLE,
+    west: Jimp.HORIZONTAL_ALIGN_LEFT | Jimp.VERTICAL_ALIGN_MIDDLE,
+    northeast: Jimp.HORIZONTAL_ALIGN_RIGHT | Jimp.VERTICAL_ALIGN_TOP,
+    northwest: Jimp.HORIZONTAL_ALIGN_LEFT | Jimp.VERTICAL_ALIGN_TOP,
+    southeast: Jimp.HORIZONTAL_ALIGN_RIGHT | Jimp.VERTICAL_ALIGN_BOTTOM,
+    southwest: Jimp.HORIZONTAL_ALIGN_LEFT | Jimp.VERTICAL_ALIGN_BOTTOM
+};
 
-    static burkes(imageData, width, height) {
-        const data = new Array(height);
-        for (let i = 0; i < height; i++) {
-            data[i] = new Array(width);
-            for (let j = 0; j < width; j++) {
-                const pixelColor = Jimp.intToRGBA(imageData.getPixelColor(j, i));
-                data[i][j] = { r: pixelColor.r, g: pixelColor.g, b: pixelColor.b };
-            }
-        }
+// Pre-dither adjustments and the values that leave the image unchanged.
+const DEFAULT_ADJUSTMENTS = {
+    brightness: 0, // -1 to 1
+    contrast: 0, // -1 to 1
+    saturation: 1, // Multiplier; 0 is grayscale
+    gamma: 1, // Above 1 brightens the midtones
+    sharpen: 0, // Unsharp amount; 0 is off
+    equalize: false // Histogram equalization of the luminance
+};
 
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const oldR = data[y][x].r;
-                const oldG = data[y][x].g;
-                const oldB = data[y][x].b;
-                
-                const closestColorName = findClosestColor(oldR, oldG, oldB);
-                const newColor = COLOR_MAP[closestColorName];
-                
-                data[y][x] = { r: newColor.r, g: newColor.g, b: newColor.b, colorName: closestColorName };
-                
-                const errorR = oldR - newColor.r;
-                const errorG = oldG - newColor.g;
-                const errorB = oldB - newColor.b;
-                
-                // Burkes error diffusion pattern
-                const diffusionPattern = [
-                    { dx: 1, dy: 0, weight: 8/32 },
-                    { dx: 2, dy: 0, weight: 4/32 },
-                    { dx: -2, dy: 1, weight: 2/32 },
-                    { dx: -1, dy: 1, weight: 4/32 },
-                    { dx: 0, dy: 1, weight: 8/32 },
-                    { dx: 1, dy: 1, weight: 4/32 },
-                    { dx: 2, dy: 1, weight: 2/32 }
-                ];
-                
-                for (const { dx, dy, weight } of diffusionPattern) {
-                    const newX = x + dx;
-                    const newY = y + dy;
-                    if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-                        data[newY][newX].r = Math.max(0, Math.min(255, data[newY][newX].r + errorR * weight));
-                        data[newY][newX].g = Math.max(0, Math.min(255, data[newY][newX].g + errorG * weight));
-                        data[newY][newX].b = Math.max(0, Math.min(255, data[newY][newX].b + errorB * weight));
-                    }
-                }
-            }
-        }
-        
-        return data;
-    }
-}
+// Plan pixels that are left without a block. Pixels with less than half opacity are transparent.
+const EMPTY_COLOR = 'empty';
+const ALPHA_THRESHOLD = 128;
 
 class ImageProcessor {
     /**
      * Processes an image from a local file path or a URL.
      * @param {string} imageSource - The local file name (in ./assets) or a public URL to the image.
      * @param {string} ditheringMethod - The dithering method to use ('floydSteinberg' by default)
-     * @returns {Promise<Array<Array<object>>|null>} A 128x128 2D array representing the map art plan, or null on failure.
+     * @param {object} [options]
+     * @param {'flat'|'staircase'} [options.mode='flat'] - 'staircase' also uses the darker and lighter map shades,
+     *   which requires building each block at a planned height (see `planStaircase`).
+     * @param {Palette} [options.palette] - The blocks to build with. Defaults to config/palette.json.
+     * @param {string} [options.metric='rgb'] - Color distance metric, one of `ColorMetrics.NAMES`.
+     * @param {{cols: number, rows: number}} [options.grid={cols: 1, rows: 1}] - Size of the wall of maps to build.
+     * @param {boolean} [options.serpentine=false] - Error diffusion: scan every other row right-to-left.
+     * @param {number} [options.diffusionStrength=1] - Error diffusion: fraction (0-1) of the error passed on.
+     * @param {'stretch'|'cover'|'contain'} [options.fit='stretch'] - How to fit the image to the maps (see `fitImage`).
+     * @param {{x: number, y: number, w: number, h: number}} [options.crop] - Part of the source image to use, in pixels.
+     * @param {string} [options.gravity='center'] - One of `ImageProcessor.GRAVITIES`.
+     * @param {string} [options.background] - CSS color for the letterbox bars of `contain`. Transparent if omitted.
+     * @param {string} [options.transparent='empty'] - What transparent pixels become: a palette color name,
+     *   or 'empty' to leave them without a block.
+     * @param {object} [options.adjustments] - Brightness, contrast, etc. applied before dithering (see `adjustImage`).
+     * @param {object} [options.budgets] - Color name -> the most blocks of that color (all shades together)
+     *   the plan may use. Pixels beyond a budget go to their next-best color.
+     * @param {string[]} [options.unavailable] - Color names not to use at all.
+     * @returns {Promise<Array<Array<object>>|null>} A (rows*128)x(cols*128) 2D array representing the map art plan, or null on failure.
      */
-    static async processImage(imageSource, ditheringMethod = 'floydSteinberg') {
+    static async processImage(imageSource, ditheringMethod = 'floydSteinberg', options = {}) {
+        const {
+            mode = 'flat', metric = 'rgb', grid = { cols: 1, rows: 1 }, serpentine = false, diffusionStrength = 1,
+            transparent = EMPTY_COLOR, budgets = {}, unavailable = []
+        } = options;
+        const width = grid.cols * MAP_SIZE;
+        const height = grid.rows * MAP_SIZE;
         let image;
         try {
+            if (!MAP_MODES.includes(mode)) {
+                throw new Error(`Unknown map mode "${mode}".`);
+            }
+            const blockPalette = options.palette || Palette.load();
+            for (const name of [...unavailable, ...Object.keys(budgets)]) {
+                if (!blockPalette.getColor(name)) {
+                    throw new Error(`"${name}" is not a palette color.`);
+                }
+            }
+            const entries = blockPalette.entries(mode === 'staircase' ? [0, 1, 2] : [1])
+                .filter(entry => !unavailable.includes(entry.name) && budgets[entry.name] !== 0);
+            if (entries.length === 0) {
+                throw new Error('No blocks are enabled in the palette.');
+            }
+            const palette = ColorMetrics.preparePalette(entries, metric);
+
+            let transparentBlock = { name: EMPTY_COLOR, id: 'air', shade: 1, empty: true };
+            if (transparent !== EMPTY_COLOR) {
+                const entry = entries.find(e => e.name === transparent && e.shade === 1);
+                if (!entry) {
+                    throw new Error(`Transparent color "${transparent}" is not an enabled palette color.`);
+                }
+                transparentBlock = { name: entry.name, id: entry.id, shade: 1 };
+            }
+
             // Check if the source is a URL
             if (imageSource.startsWith('http://') || imageSource.startsWith('https://')) {
                 console.log(`Fetching image from URL: ${imageSource}`);
@@ -390,82 +120,264 @@ class ImageProcessor {
                 image = await Jimp.read(localPath);
             }
             
-            // Resize and rotate by 180 degrees BEFORE processing
-            image.resize(128, 128);
+            // Fit and rotate by 180 degrees BEFORE processing
+            ImageProcessor.fitImage(image, width, height, options);
+            ImageProcessor.adjustImage(image, options.adjustments);
             image.rotate(180);
+
+            const mask = new Uint8Array(width * height);
+            image.scan(0, 0, width, height, (x, y, idx) => {
+                if (image.bitmap.data[idx + 3] < ALPHA_THRESHOLD) mask[y * width + x] = 1;
+            });
             
             // Apply dithering
-            let ditheredData;
-            switch (ditheringMethod) {
-                case 'floydSteinberg':
-                    ditheredData = DitheringAlgorithms.floydSteinberg(image, 128, 128);
-                    break;
-                case 'jarvisJudiceNinke':
-                    ditheredData = DitheringAlgorithms.jarvisJudiceNinke(image, 128, 128);
-                    break;
-                case 'stucki':
-                    ditheredData = DitheringAlgorithms.stucki(image, 128, 128);
-                    break;
-                case 'atkinson':
-                    ditheredData = DitheringAlgorithms.atkinson(image, 128, 128);
-                    break;
-                case 'sierra':
-                    ditheredData = DitheringAlgorithms.sierra(image, 128, 128);
-                    break;
-                case 'burkes':
-                    ditheredData = DitheringAlgorithms.burkes(image, 128, 128);
-                    break;
-                default:
-                    console.log(`Unknown dithering method: ${ditheringMethod}. Using Floyd-Steinberg.`);
-                    ditheredData = DitheringAlgorithms.floydSteinberg(image, 128, 128);
+            if (!DitheringRegistry.has(ditheringMethod)) {
+                console.log(`Unknown dithering method: ${ditheringMethod}. Using Floyd-Steinberg.`);
+                ditheringMethod = 'floydSteinberg';
             }
+            const ditherOptions = { serpentine, strength: diffusionStrength, mask };
+            palette.trace = [];
+            let ditheredData = DitheringRegistry.apply(ditheringMethod, image, width, height, palette, ditherOptions);
 
-            // Create image from dithered data for saving
-            const ditheredImage = new Jimp(128, 128);
-            for (let y = 0; y < 128; y++) {
-                for (let x = 0; x < 128; x++) {
-                    const pixel = ditheredData[y][x];
-                    const color = Jimp.rgbaToInt(pixel.r, pixel.g, pixel.b, 255);
-                    ditheredImage.setPixelColor(color, x, y);
+            // Transparent pixels filled with a budgeted color count towards its budget
+            const limits = { ...budgets };
+            if (transparentBlock.name in limits) {
+                limits[transparentBlock.name] -= mask.reduce((sum, masked) => sum + masked, 0);
+                if (limits[transparentBlock.name] < 0) {
+                    throw new Error(`The transparent pixels alone need more ${transparentBlock.name} than its budget allows.`);
                 }
             }
-            await ditheredImage.writeAsync(`assets/debug_dithered.png`);
+            const usage = {};
+            for (const name of palette.trace) usage[name] = (usage[name] || 0) + 1;
+            const overBudget = Object.keys(limits).filter(name => (usage[name] || 0) > limits[name]);
+            if (overBudget.length > 0) {
+                // Dither again, this time holding the capped colors to their budgets
+                ColorMetrics.setBudget(palette, limits, palette.trace);
+                ditheredData = DitheringRegistry.apply(ditheringMethod, image, width, height, palette, ditherOptions);
+                for (const name of overBudget) {
+                    console.log(`Color budget: ${name} limited to ${palette.budget.used.get(name)} blocks (wanted ${usage[name]}).`);
+                }
+            }
+            palette.trace = null;
 
             // Convert dithered data to the expected format
-            const imageData = Array.from({ length: 128 }, () => Array(128).fill(null));
+            const imageData = Array.from({ length: height }, () => Array(width).fill(null));
 
-            for (let z = 0; z < 128; z++) {
-                for (let x = 0; x < 128; x++) {
-                    const colorName = ditheredData[z][x].colorName;
+            for (let z = 0; z < height; z++) {
+                for (let x = 0; x < width; x++) {
+                    if (mask[z * width + x]) {
+                        imageData[z][x] = { ...transparentBlock, y: 0, placed_correctly: false };
+                        continue;
+                    }
+                    const { colorName, shade } = ditheredData[z][x];
                     imageData[z][x] = {
                         name: colorName,
-                        id: COLOR_MAP[colorName].id,
+                        id: entries.find(entry => entry.name === colorName).id,
+                        shade,
+                        y: 0,
                         placed_correctly: false // Default to false
                     };
                 }
             }
 
-            // Create image from final color mapped data
-            const finalImage = new Jimp(128, 128);
-            for (let z = 0; z < 128; z++) {
-                for (let x = 0; x < 128; x++) {
-                    const colorName = imageData[z][x].name;
-                    const color = COLOR_MAP[colorName];
-                    const pixelColor = Jimp.rgbaToInt(color.r, color.g, color.b, 255);
-                    finalImage.setPixelColor(pixelColor, x, z);
-                }
+            if (mode === 'staircase') {
+                ImageProcessor.planStaircase(imageData);
             }
-            await finalImage.writeAsync(`assets/debug_final.png`);
 
-            console.log(`Image "${imageSource}" processed successfully with ${ditheringMethod} dithering.`);
+            console.log(`Image "${imageSource}" processed successfully with ${ditheringMethod} dithering (${mode}, ${metric}, ${grid.cols}x${grid.rows} maps).`);
             return imageData;
         } catch (error) {
             console.error(`Failed to process image: ${error.message}`);
             return null;
         }
     }
+
+    /**
+     * Crops and scales an image in place to exactly `width` x `height`.
+     * - stretch: scale both ways independently, distorting the aspect ratio.
+     * - cover: scale to fill the area and cut off what sticks out, keeping the part `gravity` points at.
+     * - contain: scale to fit inside the area and pad with `background` on the side away from `gravity`.
+     *   Transparent parts of the image are filled with `background` too.
+     * @param {import('jimp')} image
+     * @param {number} width
+     * @param {number} height
+     * @param {object} [options] - `fit`, `crop`, `gravity` and `background`, as in `processImage`.
+     * @returns {import('jimp')} The same image, for chaining.
+     */
+    static fitImage(image, width, height, options = {}) {
+        const { fit = 'stretch', crop = null, gravity = 'center', background = null } = options;
+        if (!FIT_MODES.includes(fit)) {
+            throw new Error(`Unknown fit mode "${fit}".`);
+        }
+        if (!(gravity in GRAVITIES)) {
+            throw new Error(`Unknown gravity "${gravity}".`);
+        }
+
+        if (crop) {
+            const { x, y, w, h } = crop;
+            if (x < 0 || y < 0 || w <= 0 || h <= 0 ||
+                x + w > image.bitmap.width || y + h > image.bitmap.height) {
+                throw new Error(`Crop ${x},${y},${w},${h} does not fit in the ${image.bitmap.width}x${image.bitmap.height} image.`);
+            }
+            image.crop(x, y, w, h);
+        }
+
+        if (fit === 'cover') {
+            image.cover(width, height, GRAVITIES[gravity]);
+        } else if (fit === 'contain') {
+            image.background(background ? Jimp.cssColorToHex(background) : 0x00000000);
+            image.contain(width, height, GRAVITIES[gravity]);
+        } else {
+            image.resize(width, height);
+        }
+        return image;
+    }
+
+    /**
+     * Applies the pre-dither adjustments to an image in place, in this order: equalize, brightness,
+     * contrast, saturation, gamma, sharpen. Missing values default to `ImageProcessor.DEFAULT_ADJUSTMENTS`.
+     * @param {import('jimp')} image
+     * @param {object} [adjustments]
+     * @param {number} [adjustments.brightness=0] - -1 (black) to 1 (white).
+     * @param {number} [adjustments.contrast=0] - -1 (flat gray) to 1.
+     * @param {number} [adjustments.saturation=1] - 0 is grayscale, 2 doubles the saturation.
+     * @param {number} [adjustments.gamma=1] - Values above 1 brighten the midtones, below 1 darken them.
+     * @param {number} [adjustments.sharpen=0] - Strength of a 3x3 sharpening kernel.
+     * @param {boolean} [adjustments.equalize=false] - Spread the luminance histogram over the full range.
+     * @returns {import('jimp')} The same image, for chaining.
+     */
+    static adjustImage(image, adjustments = {}) {
+        const { brightness, contrast, saturation, gamma, sharpen, equalize } = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+        if (!(gamma > 0) || saturation < 0 || sharpen < 0 ||
+            Math.abs(brightness) > 1 || Math.abs(contrast) > 1) {
+            throw new Error('Image adjustments are out of range.');
+        }
+        const { data, width, height } = image.bitmap;
+        const luma = idx => 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+
+        if (equalize) {
+            // Transparent pixels don't count towards the histogram
+            const histogram = new Array(256).fill(0);
+            let total = 0;
+            image.scanQuiet(0, 0, width, height, (x, y, idx) => {
+                if (data[idx + 3] < ALPHA_THRESHOLD) return;
+                histogram[clamp(luma(idx))]++;
+                total++;
+            });
+            const cdf = [];
+            histogram.reduce((sum, count, i) => (cdf[i] = sum + count), 0);
+            const cdfMin = cdf.find(count => count > 0) || 0;
+            if (total > cdfMin) {
+                const mapping = cdf.map(count => Math.max(0, (count - cdfMin) / (total - cdfMin)) * 255);
+                image.scanQuiet(0, 0, width, height, (x, y, idx) => {
+                    const l = clamp(luma(idx));
+                    const shift = mapping[l] - l;
+                    for (let c = 0; c < 3; c++) data[idx + c] = clamp(data[idx + c] + shift);
+                });
+            }
+        }
+
+        if (brightness !== 0) image.brightness(brightness);
+        if (contrast !== 0) image.contrast(contrast);
+
+        if (saturation !== 1 || gamma !== 1) {
+            const gammaTable = Array.from({ length: 256 }, (_, v) => clamp(255 * Math.pow(v / 255, 1 / gamma)));
+            image.scanQuiet(0, 0, width, height, (x, y, idx) => {
+                const l = luma(idx);
+                for (let c = 0; c < 3; c++) {
+                    data[idx + c] = gammaTable[clamp(l + (data[idx + c] - l) * saturation)];
+                }
+            });
+        }
+
+        if (sharpen > 0) {
+            image.convolute([
+                [0, -sharpen, 0],
+                [-sharpen, 1 + 4 * sharpen, -sharpen],
+                [0, -sharpen, 0]
+            ]);
+        }
+        return image;
+    }
+
+    /**
+     * Assigns a height (`y`, in blocks above the map's start level) to every block so that each
+     * block ends up with its planned shade. Plan z grows towards the north of the world (world z is
+     * start z minus plan z), so the northern neighbour of (x, z) is (x, z + 1) and the last row is
+     * compared against the noobline. On a wall of maps the columns run through every map, so each
+     * map's first row is shaded against the last row of the map north of it.
+     * A block only has to be higher (light), level with (normal) or lower (dark) than its northern
+     * neighbour, so every column gets the lowest heights that do that: a dark block drops back to
+     * the ground unless blocks south of it have to go lower still. Only runs of light blocks (or of
+     * dark ones, read from the south) make a column climb; a run that would climb past `maxHeight`
+     * continues in the normal shade, so bots can reach every block (see `MAX_STAIRCASE_HEIGHT`).
+     * Empty pixels keep the height of their northern neighbour so the column continues past them;
+     * the block just south of a gap is shaded against whatever is below the gap in the world.
+     * @param {Array<Array<object>>} imageData - The plan returned by `processImage`, modified in place.
+     * @param {number} [maxHeight=MAX_STAIRCASE_HEIGHT]
+     * @returns {Array<Array<object>>} The same plan, for chaining.
+     */
+    static planStaircase(imageData, maxHeight = MAX_STAIRCASE_HEIGHT) {
+        const rows = imageData.length;
+        let flattened = 0;
+        for (let x = 0; x < imageData[0].length; x++) {
+            // Index `rows` is the noobline. `fromNorth` is how high each block must be for the blocks
+            // north of it, `fromSouth` for the blocks south of it.
+            const fromNorth = new Array(rows + 1).fill(0);
+            const fromSouth = new Array(rows + 1).fill(0);
+            // Flattening a block lets the run it ends continue, so repeat until the column fits
+            let changed = true;
+            while (changed) {
+                changed = false;
+                for (let z = rows - 1; z >= 0; z--) {
+                    const block = imageData[z][x];
+                    if (SHADE_STEP[block.shade] > 0 && fromNorth[z + 1] + 1 > maxHeight) {
+                        block.shade = 1;
+                        flattened++;
+                        changed = true;
+                    }
+                    const step = SHADE_STEP[block.shade];
+                    fromNorth[z] = step >= 0 ? fromNorth[z + 1] + step : 0;
+                }
+                for (let z = 0; z < rows; z++) {
+                    const block = imageData[z][x];
+                    if (SHADE_STEP[block.shade] < 0 && fromSouth[z] + 1 > maxHeight) {
+                        block.shade = 1;
+                        flattened++;
+                        changed = true;
+                    }
+                    const step = SHADE_STEP[block.shade];
+                    fromSouth[z + 1] = step <= 0 ? fromSouth[z] - step : 0;
+                }
+            }
+            for (let z = 0; z < rows; z++) {
+                imageData[z][x].y = Math.max(fromNorth[z], fromSouth[z]);
+            }
+        }
+        if (flattened > 0) {
+            console.log(`Staircase: ${flattened} block(s) use their normal shade to keep columns within ${maxHeight} blocks.`);
+        }
+        return imageData;
+    }
+
+    /**
+     * Heights of the noobline, the row of support blocks just north of the map that gives the
+     * first row its shade.
+     * @param {Array<Array<object>>} imageData - A plan that went through `planStaircase`.
+     * @returns {number[]} One height per x column.
+     */
+    static nooblineHeights(imageData) {
+        return imageData[imageData.length - 1].map(block => block.y - SHADE_STEP[block.shade]);
+    }
 }
 
-ImageProcessor.COLOR_MAP = COLOR_MAP;
+ImageProcessor.MAP_MODES = MAP_MODES;
+ImageProcessor.MAP_SIZE = MAP_SIZE;
+ImageProcessor.MAX_STAIRCASE_HEIGHT = MAX_STAIRCASE_HEIGHT;
+ImageProcessor.FIT_MODES = FIT_MODES;
+ImageProcessor.GRAVITIES = Object.keys(GRAVITIES);
+ImageProcessor.EMPTY_COLOR = EMPTY_COLOR;
+ImageProcessor.DEFAULT_ADJUSTMENTS = DEFAULT_ADJUSTMENTS;
 
 module.exports = ImageProcessor;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const nbt = require('prismarine-nbt');
+const Palette = require('./Palette');
+const ColorMetrics = require('./ColorMetrics');
+const ImageProcessor = require('./ImageProcessor');
+
+const MAP_SIZE = ImageProcessor.MAP_SIZE;
+
+/**
+ * Recreates an existing map from its `map_<n>.dat` file (found in a world's `data` folder).
+ * Every byte of the map's `colors` array is `colorId * 4 + shade`; each one is turned back into
+ * the enabled palette block for that color, and colors that can't be built as they are get the
+ * closest color that can.
+ */
+class MapItemImporter {
+    static isMapItem(source) {
+        return path.extname(source).toLowerCase() === '.dat';
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {Palette} palette
+     * @param {object} [options]
+     * @param {string} [options.metric='rgb'] - Color metric used to pick replacements.
+     * @returns {Promise<{imageData: Array<Array<object>>, mode: 'flat'|'staircase', grid: {cols: number, rows: number},
+     *   report: Array<{colorId: number, colorName: string|null, shade: number, count: number, reason: string, replacement: string|null}>}>}
+     */
+    static async load(filePath, palette, options = {}) {
+        const { parsed } = await nbt.parse(fs.readFileSync(filePath));
+        const root = nbt.simplify(parsed);
+        const colors = root.data && root.data.colors;
+        if (!colors || colors.length !== MAP_SIZE * MAP_SIZE) {
+            throw new Error('The file has no 128x128 map color array. Is it a map_<n>.dat file?');
+        }
+        return MapItemImporter.toPlan(colors, palette, options);
+    }
+
+    /**
+     * @param {number[]} colors - The map's color bytes, row by row from the north-west corner.
+     */
+    static toPlan(colors, palette, options = {}) {
+        const { metric = 'rgb' } = options;
+        const colorsById = new Map(palette.colors.map(color => [color.id, color]));
+
+        // Only use the darker and lighter shades if the map has them
+        const staircase = colors.some(byte => (byte & 0xff) >> 2 !== 0 && (byte & 3) !== 1 && (byte & 3) !== 3);
+        const entries = palette.entries(staircase ? [0, 1, 2] : [1]);
+        if (entries.length === 0) {
+            throw new Error('No blocks are enabled in the palette.');
+        }
+        const prepared = ColorMetrics.preparePalette(entries, metric);
+
+        const problems = new Map();
+        const note = (colorId, shade, reason, replacement) => {
+            const key = `${colorId}:${shade}`;
+            if (!problems.has(key)) {
+                const color = colorsById.get(colorId);
+                problems.set(key, { colorId, colorName: color ? color.name : null, shade, count: 0, reason, replacement });
+            }
+            problems.get(key).count++;
+        };
+
+        const imageData = Array.from({ length: MAP_SIZE }, () => new Array(MAP_SIZE));
+        for (let row = 0; row < MAP_SIZE; row++) {
+            for (let column = 0; column < MAP_SIZE; column++) {
+                const byte = colors[row * MAP_SIZE + column] & 0xff;
+                const colorId = byte >> 2;
+                const shade = byte & 3;
+                // Map rows run north to south and columns west to east; plan coordinates run the other way
+                const planX = MAP_SIZE - 1 - column;
+                const planZ = MAP_SIZE - 1 - row;
+
+                if (colorId === 0) {
+                    imageData[planZ][planX] = { name: ImageProcessor.EMPTY_COLOR, id: 'air', shade: 1, y: 0, empty: true, placed_correctly: false };
+                    continue;
+                }
+
+                const color = colorsById.get(colorId);
+                const id = color ? palette.blockForColor(color.name) : null;
+                if (id && shade !== 3) {
+                    imageData[planZ][planX] = { name: color.name, id, shade, y: 0, placed_correctly: false };
+                    continue;
+                }
+
+                if (!color) {
+                    note(colorId, shade, 'unknown map color', null);
+                    imageData[planZ][planX] = { name: ImageProcessor.EMPTY_COLOR, id: 'air', shade: 1, y: 0, empty: true, placed_correctly: false };
+                    continue;
+                }
+                const [r, g, b] = Palette.shadeRgb(color.base, shade);
+                const closest = ColorMetrics.findClosest(r, g, b, prepared);
+                note(colorId, shade, id ? 'shade 3 cannot be built' : 'no enabled block', `${closest.name} (shade ${closest.shade})`);
+                imageData[planZ][planX] = { name: closest.name, id: closest.id, shade: closest.shade, y: 0, placed_correctly: false };
+            }
+        }
+
+        if (staircase) {
+            ImageProcessor.planStaircase(imageData);
+        }
+        return {
+            imageData,
+            mode: staircase ? 'staircase' : 'flat',
+            grid: { cols: 1, rows: 1 },
+            report: [...problems.values()].sort((a, b) => b.count - a.count)
+        };
+    }
+}
+
+module.exports = MapItemImporter;
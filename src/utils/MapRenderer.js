@@ -0,0 +1,166 @@
+const Jimp = require('jimp');
+const Palette = require('./Palette');
+const ImageProcessor = require('./ImageProcessor');
+
+const MAP_SIZE = ImageProcessor.MAP_SIZE;
+
+const RENDER_MODES = ['plan', 'placed', 'diff'];
+
+// Diff colors: blocks still to be placed, and placed blocks that show a different shade than planned
+const MISSING_COLOR = [255, 0, 255];
+const WRONG_SHADE_COLOR = [255, 220, 0];
+
+/**
+ * Draws plans the way a map item shows them: every block is its map color's official base RGB
+ * times the shade multiplier (180, 220, 255 or 135) / 255, rounded down like the game does.
+ * Plans are grids of `{ name, shade, y, empty }` in plan coordinates, as made by `ImageProcessor`.
+ */
+class MapRenderer {
+    /**
+     * Builds a plan grid from the project's blocks.
+     * @param {Array<{x: number, z: number, y: number, shade: number, color_name: string, is_placed: number}>} blocks
+     * @param {number} cols - Grid size in maps.
+     * @param {number} rows
+     * @returns {Array<Array<object>>} Pixels without a block are empty.
+     */
+    static planFromBlocks(blocks, cols, rows) {
+        const imageData = Array.from({ length: rows * MAP_SIZE }, () =>
+            Array.from({ length: cols * MAP_SIZE }, () => ({ empty: true, shade: 1, y: 0 })));
+        for (const block of blocks) {
+            imageData[block.z][block.x] = { name: block.color_name, shade: block.shade, y: block.y, placed: !!block.is_placed };
+        }
+        return imageData;
+    }
+
+    /**
+     * What the map shows right now: only placed blocks, each shaded by comparing its height with
+     * the block north of it as the game does. Unplaced spots are taken to be the ground one block
+     * below the start level. The north edge is compared with the noobline where there is one, and
+     * assumed level otherwise.
+     * @param {Array<Array<object>>} imageData - A plan with `placed` flags (see `planFromBlocks`).
+     * @param {Array<{x: number, y: number, is_placed: number}>} [noobline]
+     * @returns {Array<Array<object>>}
+     */
+    static placedState(imageData, noobline = []) {
+        const GROUND = -1;
+        const nooblineByX = new Map(noobline.map(block => [block.x, block]));
+        const rows = imageData.length;
+
+        return imageData.map((row, z) => row.map((block, x) => {
+            if (block.empty || !block.placed) return { empty: true, shade: 1, y: 0 };
+
+            let northY;
+            if (z + 1 < rows) {
+                const north = imageData[z + 1][x];
+                northY = !north.empty && north.placed ? north.y : GROUND;
+            } else if (nooblineByX.has(x)) {
+                const north = nooblineByX.get(x);
+                northY = north.is_placed ? north.y : GROUND;
+            } else {
+                northY = block.y;
+            }
+            const shade = block.y > northY ? 2 : block.y < northY ? 0 : 1;
+            return { ...block, shade };
+        }));
+    }
+
+    /**
+     * Compares the placed state with the plan. Matching pixels are shown faded, blocks still to be
+     * placed in magenta and placed blocks that show another shade than planned in yellow.
+     * @returns {{imageData: Array<Array<object>>, missing: number, wrongShade: number, matching: number}}
+     */
+    static diff(plan, placed, palette) {
+        let missing = 0;
+        let wrongShade = 0;
+        let matching = 0;
+        const imageData = plan.map((row, z) => row.map((block, x) => {
+            if (block.empty) return block;
+            const actual = placed[z][x];
+            if (actual.empty) {
+                missing++;
+                return { ...block, rgb: MISSING_COLOR };
+            }
+            if (actual.shade !== block.shade) {
+                wrongShade++;
+                return { ...block, rgb: WRONG_SHADE_COLOR };
+            }
+            matching++;
+            const rgb = MapRenderer.colorOf(block, palette).map(c => Math.round(c * 0.35 + 128 * 0.65));
+            return { ...block, rgb };
+        }));
+        return { imageData, missing, wrongShade, matching };
+    }
+
+    /**
+     * @returns {number[]} The [r, g, b] a map shows for a block.
+     */
+    static colorOf(block, palette) {
+        const color = palette.getColor(block.name);
+        if (!color) {
+            throw new Error(`"${block.name}" is not a palette color.`);
+        }
+        return Palette.shadeRgb(color.base, block.shade);
+    }
+
+    /**
+     * Draws a plan rotated back to the source image's orientation (north up), with empty pixels
+     * left transparent. Pixels with an `rgb` value are drawn in that color.
+     * @param {Array<Array<object>>} imageData
+     * @param {Palette} palette - For the color values.
+     * @param {object} [options]
+     * @param {number} [options.scale=1] - Size of each block in pixels.
+     * @param {number} [options.grid=0] - Darken a line every this many blocks; 0 disables the grid.
+     *   With a grid, map borders are drawn in red.
+     * @returns {import('jimp')}
+     */
+    static render(imageData, palette, options = {}) {
+        const { scale = 1, grid = 0 } = options;
+        const height = imageData.length;
+        const width = imageData[0].length;
+        const image = new Jimp(width * scale, height * scale, 0x00000000);
+        const { data } = image.bitmap;
+
+        for (let z = 0; z < height; z++) {
+            for (let x = 0; x < width; x++) {
+                const block = imageData[z][x];
+                if (block.empty) continue;
+                const [r, g, b] = block.rgb || MapRenderer.colorOf(block, palette);
+                // Undo the 180 degree rotation applied before processing
+                const px = (width - 1 - x) * scale;
+                const py = (height - 1 - z) * scale;
+                for (let dy = 0; dy < scale; dy++) {
+                    for (let dx = 0; dx < scale; dx++) {
+                        const idx = ((py + dy) * width * scale + px + dx) * 4;
+                        data[idx] = r;
+                        data[idx + 1] = g;
+                        data[idx + 2] = b;
+                        data[idx + 3] = 255;
+                    }
+                }
+            }
+        }
+
+        if (grid > 0) {
+            const line = (idx, color) => {
+                if (color) {
+                    data.writeUInt32BE(color, idx);
+                } else {
+                    for (let c = 0; c < 3; c++) data[idx + c] = Math.round(data[idx + c] * 0.6);
+                    data[idx + 3] = 255;
+                }
+            };
+            image.scanQuiet(0, 0, image.bitmap.width, image.bitmap.height, (px, py, idx) => {
+                const onColumn = px % scale === 0 && (px / scale) % grid === 0;
+                const onRow = py % scale === 0 && (py / scale) % grid === 0;
+                if (!onColumn && !onRow) return;
+                const onMapBorder = (onColumn && (px / scale) % MAP_SIZE === 0) || (onRow && (py / scale) % MAP_SIZE === 0);
+                line(idx, onMapBorder ? 0xff0000ff : null);
+            });
+        }
+        return image;
+    }
+}
+
+MapRenderer.MODES = RENDER_MODES;
+
+module.exports = MapRenderer;
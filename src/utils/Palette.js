@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PALETTE_PATH = path.join(__dirname, '..', '..', 'config', 'palette.json');
+
+// Shade index -> brightness multiplier (out of 255). 0 = lower than north, 1 = level, 2 = higher.
+// Shade 3 only exists on maps created by other means and can't be built.
+const SHADE_MULTIPLIERS = [180, 220, 255, 135];
+
+/**
+ * The block -> map color table the map art is built from. The definition file lists every
+ * map color with its official base RGB and the blocks that produce it; each block can be
+ * enabled or disabled. Blocks that don't exist in the bot's Minecraft version are dropped.
+ */
+class Palette {
+    /**
+     * @param {object} definition - The parsed palette definition (see config/palette.json).
+     * @param {string|null} [version] - Minecraft version to resolve blocks against. If omitted, every block is kept.
+     */
+    constructor(definition, version = null) {
+        this.definition = definition;
+        this.version = version;
+
+        const mcData = version ? require('minecraft-data')(version) : null;
+        this.colors = [];
+        this._blocks = new Map();
+
+        for (const color of definition.colors) {
+            const blocks = [];
+            for (const block of color.blocks) {
+                const item = mcData ? mcData.itemsByName[block.id] : null;
+                if (mcData && (!mcData.blocksByName[block.id] || !item)) continue; // Not available in this version
+
+                const resolved = {
+                    id: block.id,
+                    colorName: color.name,
+                    enabled: !!block.enabled,
+                    needsSupport: !!block.needsSupport,
+                    stackSize: item ? item.stackSize : 64
+                };
+                blocks.push(resolved);
+                this._blocks.set(block.id, resolved);
+            }
+            this.colors.push({ id: color.id, name: color.name, base: color.base, blocks });
+        }
+    }
+
+    /**
+     * Reads a palette definition file and resolves it for the given version.
+     * @param {string|null} [version] - Minecraft version, e.g. '1.20.4'.
+     * @param {string} [palettePath] - Defaults to config/palette.json.
+     * @returns {Palette}
+     */
+    static load(version = null, palettePath = DEFAULT_PALETTE_PATH) {
+        const definition = JSON.parse(fs.readFileSync(palettePath, 'utf8'));
+        return new Palette(definition, version);
+    }
+
+    /**
+     * Writes the definition (including enabled flags) back to disk, one block per line.
+     */
+    save(palettePath = DEFAULT_PALETTE_PATH) {
+        const json = JSON.stringify(this.definition, null, 2)
+            // Keep leaf objects and arrays on a single line so the file stays readable.
+            .replace(/\{[^{}[\]]*\}|\[[^{}[\]]*\]/g, leaf => leaf.replace(/\s+/g, ' ').replace('[ ', '[').replace(' ]', ']'));
+        fs.writeFileSync(palettePath, json + '\n');
+    }
+
+    setEnabled(blockId, enabled) {
+        const definitionBlock = this.definition.colors
+            .flatMap(color => color.blocks)
+            .find(block => block.id === blockId);
+        if (!definitionBlock) {
+            throw new Error(`Block "${blockId}" is not in the palette.`);
+        }
+        definitionBlock.enabled = enabled;
+        if (this._blocks.has(blockId)) this._blocks.get(blockId).enabled = enabled;
+    }
+
+    getColor(colorName) {
+        return this.colors.find(color => color.name === colorName) || null;
+    }
+
+    getBlock(blockId) {
+        return this._blocks.get(blockId) || null;
+    }
+
+    colorOf(blockId) {
+        return this._blocks.get(blockId)?.colorName || null;
+    }
+
+    needsSupport(blockId) {
+        return !!this._blocks.get(blockId)?.needsSupport;
+    }
+
+    /**
+     * The block used to build a color: the first enabled block listed for it.
+     * @returns {string|null}
+     */
+    blockForColor(colorName) {
+        const color = this.getColor(colorName);
+        const block = color && color.blocks.find(b => b.enabled);
+        return block ? block.id : null;
+    }
+
+    /**
+     * Quantization targets: one entry per usable color and shade.
+     * @param {number[]} [shades=[1]] - Shade indices to include. Flat maps only show shade 1.
+     * @returns {Array<{name: string, colorId: number, shade: number, id: string, r: number, g: number, b: number}>}
+     */
+    entries(shades = [1]) {
+        const entries = [];
+        for (const color of this.colors) {
+            const id = this.blockForColor(color.name);
+            if (!id) continue;
+            for (const shade of shades) {
+                const [r, g, b] = Palette.shadeRgb(color.base, shade);
+                entries.push({ name: color.name, colorId: color.id, shade, id, r, g, b });
+            }
+        }
+        return entries;
+    }
+
+    static shadeRgb(base, shade) {
+        return base.map(c => Math.floor(c * SHADE_MULTIPLIERS[shade] / 255));
+    }
+}
+
+Palette.SHADE_MULTIPLIERS = SHADE_MULTIPLIERS;
+Palette.DEFAULT_PATH = DEFAULT_PALETTE_PATH;
+
+module.exports = Palette;
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const nbt = require('prismarine-nbt');
+
+// Formats `export` can write, by file extension.
+const EXPORT_EXTENSIONS = ['.litematic', '.schem'];
+
+// Version of the Litematica file format that is written.
+const LITEMATIC_VERSION = 6;
+
+/**
+ * Writes a project's plan as a schematic so it can be checked in-game (e.g. with the Litematica
+ * overlay) before the bots build it. Blocks end up exactly where `StripPlacer` places them:
+ * plan (x, z) at `start - (x, 0, z)`, `y` blocks above the start level on a column of support
+ * blocks, with the noobline one row north of the grid. Blocks that can't stand on their own
+ * (carpets, sand...) get a support block underneath, one level below the start if need be.
+ */
+class SchematicExporter {
+    /**
+     * Lays the plan out in world space.
+     * @param {object} plan
+     * @param {number[]} plan.start - `mapart_offsets.start`.
+     * @param {Array<{x: number, z: number, y: number, item_id: string}>} plan.blocks - Blocks to place (no empty pixels).
+     * @param {Array<{x: number, y: number}>} [plan.noobline] - Noobline heights, placed at z = `plan.nooblineZ`.
+     * @param {number} [plan.nooblineZ]
+     * @param {string|null} [plan.supportBlock] - Block the raised columns and the noobline are built from,
+     *   and that goes under blocks which need support.
+     * @param {function(string): boolean} [plan.needsSupport] - Whether a block needs a full block underneath
+     *   (`Palette.needsSupport`).
+     * @returns {{origin: number[], width: number, height: number, length: number, blocks: string[], indices: Uint32Array}}
+     *   A volume indexed `(y * length + z) * width + x` from its north-west bottom corner `origin`; blocks[0] is air.
+     */
+    static buildVolume(plan) {
+        const { start, blocks, noobline = [], nooblineZ = 0, supportBlock = null, needsSupport = () => false } = plan;
+        const placements = [...blocks];
+        for (const { x, y } of noobline) {
+            placements.push({ x, z: nooblineZ, y, item_id: supportBlock });
+        }
+        if (placements.length === 0) {
+            throw new Error('The plan has no blocks to export.');
+        }
+
+        // One pass instead of Math.max(...), which overflows the call stack on walls of many maps
+        let maxX = 0;
+        let maxZ = 0;
+        let maxY = 0;
+        let supportBelowStart = false;
+        for (const placement of placements) {
+            maxX = Math.max(maxX, placement.x);
+            maxZ = Math.max(maxZ, placement.z);
+            maxY = Math.max(maxY, placement.y);
+            if (placement.y === 0 && needsSupport(placement.item_id)) supportBelowStart = true;
+        }
+        // Support blocks under blocks at the start level need a layer below it
+        const baseY = supportBelowStart ? 1 : 0;
+        const width = maxX + 1;
+        const length = maxZ + 1;
+        const height = maxY + 1 + baseY;
+        // The plan runs towards -x / -z from the start corner, so the start is the volume's +x / +z corner
+        const origin = [start[0] - maxX, start[1] - baseY, start[2] - maxZ];
+
+        const names = ['air'];
+        const ids = new Map([['air', 0]]);
+        const idOf = name => {
+            if (!ids.has(name)) {
+                ids.set(name, names.length);
+                names.push(name);
+            }
+            return ids.get(name);
+        };
+
+        const indices = new Uint32Array(width * height * length);
+        for (const placement of placements) {
+            const vx = maxX - placement.x;
+            const vz = maxZ - placement.z;
+            const vy = baseY + placement.y;
+            if (placement.y > 0) {
+                if (!supportBlock) {
+                    throw new Error(`Block at ${placement.x}, ${placement.z} is raised but the project has no support block.`);
+                }
+                const support = idOf(supportBlock);
+                for (let y = baseY; y < vy; y++) {
+                    indices[(y * length + vz) * width + vx] = support;
+                }
+            } else if (needsSupport(placement.item_id)) {
+                if (!supportBlock) {
+                    throw new Error(`${placement.item_id} at ${placement.x}, ${placement.z} needs a block underneath but the project has no support block.`);
+                }
+                indices[((vy - 1) * length + vz) * width + vx] = idOf(supportBlock);
+            }
+            indices[(vy * length + vz) * width + vx] = idOf(placement.item_id);
+        }
+
+        return { origin, width, height, length, blocks: names, indices };
+    }
+
+    /**
+     * Writes a volume as a Litematica schematic with a single region.
+     * @param {object} volume - From `buildVolume`.
+     * @param {string} filePath
+     * @param {object} [meta]
+     * @param {string} [meta.name]
+     * @param {number} [meta.dataVersion] - Minecraft data version of the blocks.
+     */
+    static writeLitematic(volume, filePath, meta = {}) {
+        const { width, height, length, blocks, indices } = volume;
+        const name = meta.name || path.basename(filePath, path.extname(filePath));
+        const now = Date.now();
+        const totalBlocks = indices.reduce((count, index) => count + (index !== 0 ? 1 : 0), 0);
+        const vector = (x, y, z) => nbt.comp({ x: nbt.int(x), y: nbt.int(y), z: nbt.int(z) });
+
+        const region = {
+            Position: vector(0, 0, 0),
+            Size: vector(width, height, length),
+            BlockStatePalette: nbt.list(nbt.comp(blocks.map(block => ({ Name: nbt.string(`minecraft:${block}`) })))),
+            BlockStates: { type: 'longArray', value: SchematicExporter._packLongs(indices, Math.max(2, Math.ceil(Math.log2(blocks.length)))) },
+            TileEntities: nbt.list(nbt.comp([])),
+            Entities: nbt.list(nbt.comp([])),
+            PendingBlockTicks: nbt.list(nbt.comp([])),
+            PendingFluidTicks: nbt.list(nbt.comp([]))
+        };
+        const root = {
+            Version: nbt.int(LITEMATIC_VERSION),
+            MinecraftDataVersion: nbt.int(meta.dataVersion || 0),
+            Metadata: nbt.comp({
+                Name: nbt.string(name),
+                Author: nbt.string('MapArt-Bot'),
+                Description: nbt.string(''),
+                RegionCount: nbt.int(1),
+                TotalVolume: nbt.int(width * height * length),
+                TotalBlocks: nbt.int(totalBlocks),
+                TimeCreated: nbt.long(SchematicExporter._toLong(now)),
+                TimeModified: nbt.long(SchematicExporter._toLong(now)),
+                EnclosingSize: vector(width, height, length)
+            }),
+            Regions: nbt.comp({ [name]: { type: 'compound', value: region } })
+        };
+        SchematicExporter._write(filePath, '', root);
+    }
+
+    /**
+     * Writes a volume as a Sponge schematic (version 2), which WorldEdit and most other tools read.
+     * `Offset` holds the world position of the volume, so it can be pasted back in place.
+     */
+    static writeSponge(volume, filePath, meta = {}) {
+        const { origin, width, height, length, blocks, indices } = volume;
+        if (Math.max(width, height, length) > 0xffff) {
+            throw new Error('The plan is too large for a Sponge schematic.');
+        }
+
+        const paletteTag = {};
+        blocks.forEach((block, id) => {
+            paletteTag[`minecraft:${block}`] = nbt.int(id);
+        });
+
+        // Block data is a list of unsigned varints
+        const data = [];
+        for (const index of indices) {
+            let value = index;
+            do {
+                let byte = value & 0x7f;
+                value >>>= 7;
+                if (value !== 0) byte |= 0x80;
+                data.push(byte > 127 ? byte - 256 : byte);
+            } while (value !== 0);
+        }
+
+        const root = {
+            Version: nbt.int(2),
+            DataVersion: nbt.int(meta.dataVersion || 0),
+            Width: nbt.short(width),
+            Height: nbt.short(height),
+            Length: nbt.short(length),
+            Offset: { type: 'intArray', value: origin },
+            PaletteMax: nbt.int(blocks.length),
+            Palette: nbt.comp(paletteTag),
+            BlockData: nbt.byteArray(data),
+            BlockEntities: nbt.list(nbt.comp([]))
+        };
+        SchematicExporter._write(filePath, 'Schematic', root);
+    }
+
+    static _write(filePath, rootName, value) {
+        const buffer = nbt.writeUncompressed({ type: 'compound', name: rootName, value });
+        fs.writeFileSync(filePath, zlib.gzipSync(buffer));
+    }
+
+    // Packs values of `bits` bits back to back into 64-bit longs, as [high, low] int pairs.
+    static _packLongs(values, bits) {
+        const longs = new Array(Math.ceil(values.length * bits / 64)).fill(0n);
+        for (let i = 0; i < values.length; i++) {
+            const bitIndex = i * bits;
+            const longIndex = Math.floor(bitIndex / 64);
+            const offset = bitIndex % 64;
+            const value = BigInt(values[i]);
+            longs[longIndex] |= BigInt.asUintN(64, value << BigInt(offset));
+            if (offset + bits > 64) {
+                longs[longIndex + 1] |= value >> BigInt(64 - offset);
+            }
+        }
+        return longs.map(long => SchematicExporter._toLong(long));
+    }
+
+    static _toLong(value) {
+        const long = BigInt(value);
+        return [Number(BigInt.asIntN(32, long >> 32n)), Number(BigInt.asIntN(32, long))];
+    }
+}
+
+SchematicExporter.EXTENSIONS = EXPORT_EXTENSIONS;
+
+module.exports = SchematicExporter;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const nbt = require('prismarine-nbt');
+const ImageProcessor = require('./ImageProcessor');
+
+const MAP_SIZE = ImageProcessor.MAP_SIZE;
+
+// File extensions that `start` reads as a ready-made block grid instead of an image.
+const SCHEMATIC_EXTENSIONS = ['.litematic', '.schem', '.nbt'];
+
+const AIR_BLOCKS = new Set(['air', 'cave_air', 'void_air', 'structure_void']);
+
+/**
+ * Reads map art built in other tools (Litematica, WorldEdit / Sponge schematics, vanilla structure
+ * blocks) and turns it into a plan like `ImageProcessor.processImage` returns.
+ *
+ * The topmost block of every column is what the map shows; anything under it is treated as support
+ * and rebuilt by the bots. The file's x/z axes are world axes, so its north-west corner becomes the
+ * north-west corner of the build. Staircase shades are read from the height differences between
+ * neighbouring columns, and a row just north of the map tiles (depth 128n + 1) is taken as the noobline.
+ */
+class SchematicImporter {
+    static isSchematic(source) {
+        return SCHEMATIC_EXTENSIONS.includes(path.extname(source).toLowerCase());
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {import('./Palette')} palette - Every visible block must be a block of this palette.
+     * @returns {Promise<{imageData: Array<Array<object>>, mode: 'flat'|'staircase', grid: {cols: number, rows: number}}>}
+     */
+    static async load(filePath, palette) {
+        const { parsed } = await nbt.parse(fs.readFileSync(filePath));
+        const root = nbt.simplify(parsed);
+
+        let volume;
+        switch (path.extname(filePath).toLowerCase()) {
+            case '.litematic':
+                volume = SchematicImporter.readLitematic(root);
+                break;
+            case '.schem':
+                volume = SchematicImporter.readSponge(root);
+                break;
+            case '.nbt':
+                volume = SchematicImporter.readStructure(root);
+                break;
+            default:
+                throw new Error(`Unsupported file type "${path.extname(filePath)}".`);
+        }
+        return SchematicImporter.toPlan(volume, palette);
+    }
+
+    /**
+     * A Litematica file. Only single-region files are supported.
+     * @returns {{width: number, height: number, length: number, blocks: string[], indices: Uint32Array}}
+     */
+    static readLitematic(root) {
+        const regions = Object.entries(root.Regions || {});
+        if (regions.length !== 1) {
+            throw new Error(`Litematic has ${regions.length} regions; only single-region files are supported.`);
+        }
+        const [, region] = regions[0];
+        const width = Math.abs(region.Size.x);
+        const height = Math.abs(region.Size.y);
+        const length = Math.abs(region.Size.z);
+        const blocks = region.BlockStatePalette.map(state => state.Name);
+
+        // Indices are packed back to back into 64-bit longs, using at least 2 bits each
+        const bits = Math.max(2, Math.ceil(Math.log2(blocks.length)));
+        const longs = region.BlockStates.map(([high, low]) => BigInt.asUintN(64, (BigInt(high) << 32n) | BigInt(low >>> 0)));
+        const mask = (1n << BigInt(bits)) - 1n;
+        const indices = new Uint32Array(width * height * length);
+        for (let i = 0; i < indices.length; i++) {
+            const bitIndex = i * bits;
+            const longIndex = Math.floor(bitIndex / 64);
+            const offset = BigInt(bitIndex % 64);
+            let value = longs[longIndex] >> offset;
+            if (Number(offset) + bits > 64) {
+                value |= longs[longIndex + 1] << (64n - offset);
+            }
+            indices[i] = Number(value & mask);
+        }
+        return { width, height, length, blocks, indices };
+    }
+
+    /**
+     * A Sponge schematic (.schem, versions 2 and 3).
+     */
+    static readSponge(root) {
+        const schematic = root.Schematic || root; // Version 3 nests everything in a "Schematic" compound
+        const container = schematic.Blocks || schematic;
+        const { Width: width, Height: height, Length: length } = schematic;
+        const paletteTag = container.Palette;
+        const data = container.Data || container.BlockData;
+        if (!paletteTag || !data) {
+            throw new Error('Schematic has no block palette or block data.');
+        }
+
+        const blocks = [];
+        for (const [state, id] of Object.entries(paletteTag)) {
+            blocks[id] = state;
+        }
+
+        // Block data is a list of unsigned varints
+        const indices = new Uint32Array(width * height * length);
+        let position = 0;
+        for (let i = 0; i < indices.length; i++) {
+            let value = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = data[position++] & 0xff;
+                value |= (byte & 0x7f) << shift;
+                shift += 7;
+            } while (byte & 0x80);
+            indices[i] = value;
+        }
+        return { width, height, length, blocks, indices };
+    }
+
+    /**
+     * A vanilla structure block file (.nbt).
+     */
+    static readStructure(root) {
+        const [width, height, length] = root.size;
+        const statePalette = root.palette || (root.palettes && root.palettes[0]);
+        if (!statePalette) {
+            throw new Error('Structure has no block palette.');
+        }
+        const blocks = ['minecraft:air', ...statePalette.map(state => state.Name)];
+        // Positions that aren't listed are empty
+        const indices = new Uint32Array(width * height * length);
+        for (const { pos: [x, y, z], state } of root.blocks) {
+            indices[(y * length + z) * width + x] = state + 1;
+        }
+        return { width, height, length, blocks, indices };
+    }
+
+    /**
+     * Turns a block volume (indexed `(y * length + z) * width + x`) into a plan.
+     */
+    static toPlan(volume, palette) {
+        const { width, height, length, blocks, indices } = volume;
+        const names = blocks.map(state => state.replace(/^minecraft:/, '').replace(/\[.*\]$/, ''));
+
+        const hasNoobline = length % MAP_SIZE === 1;
+        const rows = hasNoobline ? length - 1 : length;
+        if (width === 0 || rows === 0 || width % MAP_SIZE !== 0 || rows % MAP_SIZE !== 0) {
+            throw new Error(
+                `Block grid is ${width}x${length}; it must be a whole number of ${MAP_SIZE}x${MAP_SIZE} maps ` +
+                `(optionally with a one-block noobline row on the north side).`
+            );
+        }
+
+        // Topmost non-air block of every column, as [name, y], or null
+        const top = (x, z) => {
+            for (let y = height - 1; y >= 0; y--) {
+                const name = names[indices[(y * length + z) * width + x]];
+                if (name && !AIR_BLOCKS.has(name)) return [name, y];
+            }
+            return null;
+        };
+
+        const unknown = new Map();
+        const imageData = Array.from({ length: rows }, () => new Array(width));
+        const firstRow = hasNoobline ? 1 : 0;
+        let staircase = false;
+        for (let x = 0; x < width; x++) {
+            let north = hasNoobline ? top(x, 0) : null;
+            for (let z = firstRow; z < length; z++) {
+                const column = top(x, z);
+                // Plan coordinates run from the south-east corner (see `ImageProcessor.planStaircase`)
+                const planX = width - 1 - x;
+                const planZ = length - 1 - z;
+                if (!column) {
+                    imageData[planZ][planX] = { name: ImageProcessor.EMPTY_COLOR, id: 'air', shade: 1, y: 0, empty: true, placed_correctly: false };
+                    north = null;
+                    continue;
+                }
+
+                const [id, y] = column;
+                const colorName = palette.colorOf(id);
+                if (!colorName) {
+                    if (!unknown.has(id)) unknown.set(id, `${x},${y},${z}`);
+                    north = column;
+                    continue;
+                }
+                let shade = 1;
+                if (north) shade = y > north[1] ? 2 : y < north[1] ? 0 : 1;
+                if (shade !== 1) staircase = true;
+
+                imageData[planZ][planX] = { name: colorName, id, shade, y: 0, placed_correctly: false };
+                north = column;
+            }
+        }
+
+        if (unknown.size > 0) {
+            const list = [...unknown].map(([id, position]) => `${id} (first at ${position})`).join(', ');
+            throw new Error(`The file uses blocks that aren't in the palette: ${list}.`);
+        }
+
+        if (staircase) {
+            ImageProcessor.planStaircase(imageData);
+        }
+        return {
+            imageData,
+            mode: staircase ? 'staircase' : 'flat',
+            grid: { cols: width / MAP_SIZE, rows: rows / MAP_SIZE }
+        };
+    }
+}
+
+SchematicImporter.EXTENSIONS = SCHEMATIC_EXTENSIONS;
+
+module.exports = SchematicImporter;
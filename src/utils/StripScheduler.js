@@ -0,0 +1,96 @@
+// Policies that decide which pending strip a bot claims next (see DatabaseManager.claimStrip).
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// The candidate with the lowest score; ties go to the lowest strip index.
+function lowestScore(candidates, score) {
+    let best = null;
+    let bestScore = Infinity;
+    for (const candidate of candidates) {
+        const value = score(candidate);
+        if (value < bestScore || (value === bestScore && candidate.strip_index < best.strip_index)) {
+            best = candidate;
+            bestScore = value;
+        }
+    }
+    return best;
+}
+
+const POLICIES = {
+    // Each bot works through its own contiguous range of bands, then helps out with the lowest pending strip.
+    zones: {
+        description: 'Each bot has a fixed range of strips and helps out elsewhere once it is done',
+        pick(candidates, { botIndex, totalBots, totalBands }) {
+            const stripsPerBot = Math.ceil(totalBands / totalBots);
+            const startStrip = botIndex * stripsPerBot;
+            const endStrip = Math.min(startStrip + stripsPerBot, totalBands);
+            const home = candidates.filter(c => c.strip_index >= startStrip && c.strip_index < endStrip);
+            return lowestScore(home.length > 0 ? home : candidates, c => c.strip_index);
+        }
+    },
+    nearest: {
+        description: 'The strip closest to where the bot stands',
+        pick(candidates, { position }) {
+            if (!position) return lowestScore(candidates, c => c.strip_index);
+            return lowestScore(candidates, c => distance(c.center, position));
+        }
+    },
+    // Keeps restock trips short, and fills the map outwards from the storage.
+    nearestChests: {
+        description: 'The strip closest to the storage chests',
+        pick(candidates, { chests }) {
+            if (!chests || chests.length === 0) return lowestScore(candidates, c => c.strip_index);
+            return lowestScore(candidates, c => Math.min(...chests.map(chest => distance(c.center, chest))));
+        }
+    }
+};
+
+class StripScheduler {
+    /**
+     * Picks the strip to claim.
+     * @param {string} policyName - One of `StripScheduler.NAMES`.
+     * @param {Array<{strip_index: number, center: {x: number, z: number}}>} candidates - The pending
+     *   strips, with the world position of their center.
+     * @param {object} context
+     * @param {number} context.botIndex - The bot's index among the bots on the project.
+     * @param {number} context.totalBots
+     * @param {number} context.totalBands - The bands the project was split into at the start (strips
+     *   0 to totalBands - 1). Units added later don't change it.
+     * @param {{x: number, z: number}} [context.position] - Where the bot is in the world.
+     * @param {Array<{x: number, z: number}>} [context.chests] - World positions of the storage chests.
+     * @returns {object|null} One of the candidates, or null if there are none.
+     */
+    static pick(policyName, candidates, context) {
+        const policy = POLICIES[policyName];
+        if (!policy) {
+            throw new Error(`Unknown scheduling policy "${policyName}". Valid policies are: ${StripScheduler.NAMES.join(', ')}`);
+        }
+        if (candidates.length === 0) return null;
+        return policy.pick(candidates, context);
+    }
+
+    static describe(policyName) {
+        return POLICIES[policyName]?.description || null;
+    }
+
+    /**
+     * Adds a policy, or replaces the one with that name.
+     * @param {string} name
+     * @param {{description: string, pick: function(Array<object>, object): object|null}} policy - `pick`
+     *   gets the same candidates and context as `StripScheduler.pick` (never an empty list).
+     */
+    static register(name, policy) {
+        if (typeof policy.pick !== 'function') {
+            throw new Error(`Scheduling policy "${name}" needs a pick(candidates, context) function.`);
+        }
+        POLICIES[name] = policy;
+        StripScheduler.NAMES = Object.keys(POLICIES);
+    }
+}
+
+StripScheduler.NAMES = Object.keys(POLICIES);
+StripScheduler.DEFAULT = 'zones';
+
+module.exports = StripScheduler;
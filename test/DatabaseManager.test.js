@@ -0,0 +1,89 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+let dir;
+let db;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapart-test-'));
+    db = new DatabaseManager(path.join(dir, 'mapart.sqlite'));
+    await db.init();
+    const imageData = Array.from({ length: 128 }, () => Array.from({ length: 128 }, () => ({ name: 'white', id: 'white_wool' })));
+    await db.startNewMapArt('flower.png', 'none', imageData, 16, { name: 'flower' });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// What another process sees: only committed rows.
+async function committed(sql, params) {
+    const other = await open({ filename: db.dbPath, driver: sqlite3.Database });
+    try {
+        return await other.get(sql, params);
+    } finally {
+        await other.close();
+    }
+}
+
+test('flush waits for the writes of a flush that is still running', async () => {
+    await db.updateBlockPlaced(3, 4);
+    const first = db.flush();
+    await db.flush(); // Nothing left to queue, but the first flush may not have committed yet
+    const { is_placed } = await committed('SELECT is_placed FROM blocks WHERE x = 3 AND z = 4');
+    assert.equal(is_placed, 1);
+    await first;
+});
+
+test('writes outside a transaction are not rolled back with it', async () => {
+    const stripIndex = await db.claimStrip('builder', 0, 1);
+    let release;
+    const failing = db.transaction(async () => {
+        await db.db.run(`UPDATE projects SET is_paused = 1 WHERE id = ?`, [db.projectId]);
+        await new Promise(resolve => { release = resolve; });
+        throw new Error('boom');
+    });
+    while (!release) await new Promise(resolve => setImmediate(resolve));
+
+    // Issued while the transaction above is open
+    const renewed = db.renewLease(stripIndex, 'builder');
+    const completed = db.completeStrip(stripIndex, 'builder');
+    release();
+    await assert.rejects(failing, /boom/);
+    assert.equal(await renewed, true);
+    await completed;
+
+    const strip = await db.getStrip(stripIndex);
+    assert.equal(strip.status, 'completed');
+    assert.equal((await db.getProjectState()).is_paused, 0);
+});
+
+test('events of types from older versions can still be filtered for', async () => {
+    await db.db.run(
+        `INSERT INTO events (project_id, created_at, bot, type, strip_index, count) VALUES (?, '2025-01-01 00:00:00.000', 'builder', 'strip_reopened', 2, 5)`,
+        [db.projectId]
+    );
+    assert.ok(DatabaseManager.EVENT_TYPES.includes('strip_reopened'));
+    const events = await db.getEvents({ types: ['strip_reopened'] });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].strip_index, 2);
+});
+
+test('zones stay put when work units are added', async () => {
+    const region = await db.addWorkUnit({ xStart: 0, xEnd: 8, zStart: 0, zEnd: 8 });
+    await db.completeStrip(region);
+    const repair = await db.addWorkUnit({ blocks: [{ x: 5, z: 5 }] });
+    await db.completeStrip(repair);
+
+    // 8 bands between 2 bots: 0-3 and 4-7
+    assert.equal(await db.claimStrip('first', 0, 2), 0);
+    assert.equal(await db.claimStrip('second', 1, 2), 4);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+const RUN_JS = path.join(__dirname, '..', 'run.js');
+
+async function withProjects(names, check) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapart-test-'));
+    const dbPath = path.join(dir, 'mapart.sqlite');
+    try {
+        const db = new DatabaseManager(dbPath);
+        await db.init();
+        const imageData = Array.from({ length: 128 }, () => Array.from({ length: 128 }, () => ({ name: 'white', id: 'white_wool' })));
+        for (const name of names) {
+            await db.startNewMapArt(`${name}.png`, 'none', imageData, 16, { name });
+        }
+        await db.close();
+        await check(dir, dbPath);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function runCli(dir, ...args) {
+    return promisify(execFile)(process.execPath, [RUN_JS, ...args], { cwd: dir, timeout: 60000 });
+}
+
+async function count(dbPath, sql, params) {
+    const db = new DatabaseManager(dbPath);
+    await db.init();
+    try {
+        return (await db.db.get(sql, params)).count;
+    } finally {
+        await db.close();
+    }
+}
+
+test('clear deletes the selected project and leaves the others', async () => {
+    await withProjects(['flower', 'sunset'], async (dir, dbPath) => {
+        const { stdout } = await runCli(dir, 'clear');
+        assert.match(stdout, /Project "sunset" has been cleared/);
+
+        assert.equal(await count(dbPath, `SELECT COUNT(*) AS count FROM projects WHERE name = 'sunset'`), 0);
+        for (const table of ['blocks', 'strips', 'maps']) {
+            assert.equal(await count(dbPath, `SELECT COUNT(*) AS count FROM ${table} WHERE project_id = 2`), 0, table);
+        }
+        assert.equal(await count(dbPath, 'SELECT COUNT(*) AS count FROM blocks WHERE project_id = 1'), 128 * 128);
+    });
+});
+
+test('clear --project deletes the named project', async () => {
+    await withProjects(['flower', 'sunset'], async (dir, dbPath) => {
+        await runCli(dir, '--project', 'flower', 'clear');
+        assert.equal(await count(dbPath, `SELECT COUNT(*) AS count FROM projects`), 1);
+        assert.equal(await count(dbPath, `SELECT COUNT(*) AS count FROM strips WHERE project_id = 1`), 0);
+    });
+});
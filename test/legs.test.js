@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mcData = require('minecraft-data')('1.20.4');
+
+const Restocker = require('../src/modules/Restocker');
+const MaterialPlanner = require('../src/modules/MaterialPlanner');
+const mapArtOffsets = require('../config/mapart_offsets');
+
+// Just the inventory of a bot, with one stack per slot.
+function botWith(items) {
+    return {
+        inventory: {
+            inventoryStart: 9,
+            inventoryEnd: 45,
+            items: () => items.map(([name, count]) => ({ name, count, type: mcData.itemsByName[name].id }))
+        }
+    };
+}
+
+// A 4x4 batch per color, each block on a column of support blocks.
+function batches(colors, y = 0) {
+    return colors.map((color, i) => Array.from({ length: 16 }, (_, j) => ({
+        x: i * 4 + (j % 4), z: Math.floor(j / 4), y, item_id: `${color}_wool`, support_id: 'cobblestone'
+    })));
+}
+
+const colors = ['white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray', 'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'];
+
+test('tools, food and the support block are kept, everything else is discarded', () => {
+    const restocker = new Restocker(botWith([]), mcData, mapArtOffsets, null);
+    assert.equal(restocker._discards({ name: 'diamond_pickaxe' }), false);
+    assert.equal(restocker._discards({ name: 'iron_axe' }), false);
+    assert.equal(restocker._discards({ name: 'cooked_beef' }), false);
+    assert.equal(restocker._discards({ name: mapArtOffsets.supportBlock }), false);
+    assert.equal(restocker._discards({ name: 'white_wool' }), true);
+    assert.equal(restocker._discards({ name: 'dirt' }), true);
+});
+
+test('only discarded items free their slots', () => {
+    const restocker = new Restocker(botWith([['white_wool', 64], ['dirt', 12]]), mcData, mapArtOffsets, null);
+    assert.equal(restocker.freeSlotsAfterDiscard(), 36);
+
+    const keeping = new Restocker(botWith([['white_wool', 64], ['diamond_pickaxe', 1], ['bread', 5], ['cobblestone', 64]]), mcData, mapArtOffsets, null);
+    assert.equal(keeping.freeSlotsAfterDiscard(), 33);
+});
+
+test('kept items shrink the legs', () => {
+    const planner = new MaterialPlanner(mcData);
+    const plan = batches(colors, 2);
+    const emptyBot = new Restocker(botWith([]), mcData, mapArtOffsets, null);
+    const kept = [['diamond_pickaxe', 1], ['diamond_shovel', 1], ['bread', 32], ...Array(8).fill(['cobblestone', 64])];
+    const keepingBot = new Restocker(botWith(kept), mcData, mapArtOffsets, null);
+
+    const roomy = planner.planLegs(plan, emptyBot.freeSlotsAfterDiscard());
+    const tight = planner.planLegs(plan, keepingBot.freeSlotsAfterDiscard());
+
+    assert.ok(tight.length > roomy.length, `${tight.length} legs with kept items, ${roomy.length} without`);
+    const room = keepingBot.freeSlotsAfterDiscard() - MaterialPlanner.RESERVED_SLOTS;
+    for (const leg of tight) {
+        assert.ok(leg.slots <= room, `leg of ${leg.slots} slots, ${room} free`);
+    }
+    assert.equal(tight.reduce((sum, leg) => sum + leg.placements.length, 0), colors.length * 16);
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+async function withDatabase(createLegacy, check) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapart-test-'));
+    const dbPath = path.join(dir, 'mapart.sqlite');
+    try {
+        const legacy = await open({ filename: dbPath, driver: sqlite3.Database });
+        await createLegacy(legacy);
+        await legacy.close();
+
+        const db = new DatabaseManager(dbPath);
+        await db.init();
+        try {
+            await check(db);
+        } finally {
+            await db.close();
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// The schema of the first release: one 128x128 map, strips numbered by their z band.
+async function createBaseline(db, stripWidth) {
+    await db.exec(`
+        CREATE TABLE project (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            image_source TEXT NOT NULL,
+            dithering_algorithm TEXT NOT NULL,
+            is_active INTEGER NOT NULL DEFAULT 0,
+            is_paused INTEGER NOT NULL DEFAULT 0,
+            strip_width INTEGER NOT NULL,
+            total_strips INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE blocks (
+            x INTEGER NOT NULL,
+            z INTEGER NOT NULL,
+            color_name TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            is_placed INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (x, z)
+        );
+        CREATE TABLE strips (
+            strip_index INTEGER PRIMARY KEY,
+            status TEXT NOT NULL DEFAULT 'pending',
+            assigned_to TEXT,
+            assigned_at DATETIME
+        );
+    `);
+    const totalStrips = Math.ceil(128 / stripWidth);
+    await db.run(
+        `INSERT INTO project (id, image_source, dithering_algorithm, is_active, strip_width, total_strips)
+         VALUES (1, 'https://example.com/flower.png', 'floyd-steinberg', 1, ?, ?)`,
+        [stripWidth, totalStrips]
+    );
+    await db.exec(`
+        WITH RECURSIVE n(i) AS (SELECT 0 UNION ALL SELECT i + 1 FROM n WHERE i < 127)
+        INSERT INTO blocks (x, z, color_name, item_id) SELECT a.i, b.i, 'white', 'white_wool' FROM n a, n b;
+    `);
+    for (let i = 0; i < totalStrips; i++) {
+        await db.run('INSERT INTO strips (strip_index) VALUES (?)', [i]);
+    }
+}
+
+test('a baseline database keeps its project, strips and progress', async () => {
+    await withDatabase(async legacy => {
+        await createBaseline(legacy, 16);
+        // Strip 0 done, strip 1 half built
+        await legacy.exec(`UPDATE blocks SET is_placed = 1 WHERE z < 24`);
+        await legacy.exec(`UPDATE strips SET status = 'completed' WHERE strip_index = 0`);
+    }, async db => {
+        assert.equal(await db.getSchemaVersion(), DatabaseManager.SCHEMA_VERSION);
+
+        const project = await db.useProject();
+        assert.equal(project.name, 'flower');
+        assert.equal(project.total_strips, 8);
+
+        const strips = await db.db.all('SELECT strip_index, band, status, x_start, x_end, z_start, z_end FROM strips ORDER BY strip_index');
+        assert.equal(strips.length, 8);
+        strips.forEach((strip, i) => {
+            assert.deepEqual(strip, {
+                strip_index: i, band: i, status: i === 0 ? 'completed' : 'pending',
+                x_start: 0, x_end: 128, z_start: i * 16, z_end: (i + 1) * 16
+            });
+        });
+
+        assert.equal((await db.getPlacementsForStrip(0)).length, 0);
+        assert.equal((await db.getPlacementsForStrip(1)).length, 8 * 128);
+        assert.equal((await db.getPlacementsForStrip(7)).length, 16 * 128);
+    });
+});
+
+test('the last strip of a baseline database ends at the map edge', async () => {
+    await withDatabase(legacy => createBaseline(legacy, 48), async db => {
+        await db.useProject();
+        const last = await db.getStrip(2);
+        assert.equal(last.z_start, 96);
+        assert.equal(last.z_end, 128);
+    });
+});
+
+test('strips without a map row span the first map', async () => {
+    // Created just before versioning, with a strip whose map row is missing
+    await withDatabase(async legacy => {
+        await legacy.exec(`
+            CREATE TABLE projects (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                image_source TEXT NOT NULL,
+                dithering_algorithm TEXT NOT NULL,
+                is_active INTEGER NOT NULL DEFAULT 0,
+                is_paused INTEGER NOT NULL DEFAULT 0,
+                strip_width INTEGER NOT NULL,
+                total_strips INTEGER NOT NULL
+            );
+            CREATE TABLE strips (
+                project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+                strip_index INTEGER NOT NULL,
+                map_index INTEGER NOT NULL DEFAULT 0,
+                band INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'pending',
+                assigned_to TEXT,
+                assigned_at DATETIME,
+                PRIMARY KEY (project_id, strip_index)
+            );
+            INSERT INTO projects (id, name, image_source, dithering_algorithm, strip_width, total_strips)
+                VALUES (1, 'sunset', 'sunset.png', 'none', 16, 8);
+            INSERT INTO strips (project_id, strip_index, band) VALUES (1, 3, 3);
+        `);
+    }, async db => {
+        await db.useProject(1);
+        const strip = await db.getStrip(3);
+        assert.deepEqual(
+            [strip.x_start, strip.x_end, strip.z_start, strip.z_end],
+            [0, 128, 48, 64]
+        );
+    });
+});
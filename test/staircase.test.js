@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ImageProcessor = require('../src/utils/ImageProcessor');
+
+const { MAX_STAIRCASE_HEIGHT } = ImageProcessor;
+
+// A one-column plan from the south (z = 0) to the north, one letter per block: d(ark), n(ormal), l(ight).
+function column(shades) {
+    const shade = { d: 0, n: 1, l: 2 };
+    return [...shades].map(letter => [{ name: 'white', id: 'white_wool', shade: shade[letter], y: 0 }]);
+}
+
+// Checks that every block is higher, level with or lower than its northern neighbour as its shade says.
+function assertShaded(plan) {
+    const noobline = ImageProcessor.nooblineHeights(plan);
+    for (let z = 0; z < plan.length; z++) {
+        const { y, shade } = plan[z][0];
+        const north = z === plan.length - 1 ? noobline[0] : plan[z + 1][0].y;
+        const expected = shade === 0 ? y < north : shade === 2 ? y > north : y === north;
+        assert.ok(expected, `block ${z} (shade ${shade}) at ${y}, north of it ${north}`);
+    }
+}
+
+function heights(plan) {
+    return [...plan.map(row => row[0].y), ...ImageProcessor.nooblineHeights(plan)];
+}
+
+test('the placer can build the tallest column from the ground next to it', () => {
+    // Feet next to the column, its top straight up: the same reach StripPlacer checks
+    assert.ok(Math.hypot(1, MAX_STAIRCASE_HEIGHT) <= 4.5);
+});
+
+test('columns stay low when their shades allow it', () => {
+    const plan = ImageProcessor.planStaircase(column('lndlnndl'));
+    assertShaded(plan);
+    assert.ok(Math.max(...heights(plan)) <= 2);
+    assert.deepEqual(plan.map(row => row[0].shade), [2, 1, 0, 2, 1, 1, 0, 2]);
+});
+
+test('long runs of light and dark blocks are capped at the maximum height', () => {
+    const shades = 'l'.repeat(40) + 'n'.repeat(5) + 'd'.repeat(40) + 'ldldld' + 'd'.repeat(37);
+    const plan = ImageProcessor.planStaircase(column(shades));
+    assertShaded(plan);
+    const all = heights(plan);
+    assert.ok(Math.max(...all) <= MAX_STAIRCASE_HEIGHT, `highest block at ${Math.max(...all)}`);
+    assert.ok(Math.min(...all) >= 0);
+    // Each run keeps as much of its shading as fits
+    assert.equal(plan.slice(0, 40).filter(row => row[0].shade === 2).length, MAX_STAIRCASE_HEIGHT);
+});
+
+test('images stay within the maximum height', async () => {
+    for (const image of ['flower.jpg', 'sunset.png']) {
+        const plan = await ImageProcessor.processImage(image, 'floydSteinberg', { mode: 'staircase' });
+        const highest = plan.reduce((max, row) => row.reduce((rowMax, block) => Math.max(rowMax, block.y), max), 0);
+        assert.ok(highest <= MAX_STAIRCASE_HEIGHT, `${image}: highest block at ${highest}`);
+        assert.ok(Math.max(...ImageProcessor.nooblineHeights(plan)) <= MAX_STAIRCASE_HEIGHT);
+    }
+});
@@ -4,8 +4,8 @@ const DatabaseManager = require('./src/utils/DatabaseManager.js');
 // This script is executed by the main `run.js` process for each bot.
 
 (async () => {
-    if (process.argv.length < 6) {
-        console.error('Worker requires bot config, DB path, bot index, and total bots as arguments.');
+    if (process.argv.length < 7) {
+        console.error('Worker requires bot config, DB path, bot index, total bots and project ID as arguments.');
         process.exit(1);
     }
     // Arguments are passed from the main `run.js` process
@@ -13,23 +13,36 @@ const DatabaseManager = require('./src/utils/DatabaseManager.js');
     const dbPath = process.argv[3];
     const botIndex = parseInt(process.argv[4], 10);
     const totalBots = parseInt(process.argv[5], 10);
+    const projectId = parseInt(process.argv[6], 10);
 
 
-    console.log(`[Worker ${botConfig.username}] Starting with index ${botIndex}/${totalBots}...`);
+    console.log(`[Worker ${botConfig.username}] Starting with index ${botIndex}/${totalBots} on project ${projectId}...`);
     
     let botInstance;
 
     try {
         const db = new DatabaseManager(dbPath);
         await db.init();
+        if (!await db.useProject(projectId)) {
+            throw new Error(`Project ${projectId} does not exist.`);
+        }
 
         botInstance = new MapArtBot(botConfig, db, botIndex, totalBots);
         
-        // Graceful shutdown
-        process.on('SIGINT', () => {
+        // Graceful shutdown: placements are written in batches, so flush them before exiting
+        process.on('SIGINT', async () => {
             console.log(`[Worker ${botConfig.username}] Received shutdown signal.`);
-            if (botInstance) {
-                botInstance.shutdown();
+            try {
+                if (botInstance) {
+                    await botInstance.shutdown();
+                }
+            } catch (err) {
+                console.error(`[Worker ${botConfig.username}] Error during shutdown:`, err.message);
+            } finally {
+                // Whatever happened to the bot, the queued placements still get written
+                await db.close().catch(err => {
+                    console.error(`[Worker ${botConfig.username}] Failed to close the database:`, err.message);
+                });
             }
             // Give the bot a moment to disconnect before exiting
             setTimeout(() => process.exit(0), 2000);